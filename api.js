@@ -0,0 +1,42 @@
+// api.js — request/response messaging between extension contexts
+//
+// Requests are runtime messages addressed with a `target` ('background' or
+// 'offscreen'). Replies are { ok: true, result } or { ok: false, error };
+// errors come back as rejected promises so callers can show them.
+//
+// background.js API (see there for parameters):
+//   listThreads, getThread, export, openPrint, renderPrint, deleteThread,
+//   importThread, getCheckpoint, storageUsage, search, listSnapshots,
+//   getSnapshot, createSnapshot, restoreSnapshot, deleteSnapshot
+
+function sendRequest(target, action, params = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ target, action, ...params }, reply => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else if (!reply) reject(new Error(`No reply to "${action}"`));
+      else if (!reply.ok) reject(new Error(reply.error));
+      else resolve(reply.result);
+    });
+  });
+}
+
+function callBackground(action, params = {}) {
+  return sendRequest('background', action, params);
+}
+
+/**
+ * Answers requests addressed to `target` with `handlers[action](message, sender)`,
+ * which may return a value or a promise. Thrown errors are sent back to the caller.
+ */
+function handleRequests(target, handlers) {
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.target !== target || !Object.hasOwn(handlers, msg.action)) return false;
+    Promise.resolve()
+      .then(() => handlers[msg.action](msg, sender))
+      .then(
+        result => sendResponse({ ok: true, result }),
+        err => sendResponse({ ok: false, error: err?.message || String(err) }),
+      );
+    return true; // keeps sendResponse alive for the async reply
+  });
+}
@@ -0,0 +1,166 @@
+// archive.js — lists every captured thread and lets you open, export or delete it
+
+let threads = [];
+
+function matchesQuery(thread, query) {
+  if (!query) return true;
+  const haystack = [thread.title, thread.path, thread.key].join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
+}
+
+function showNotice(message, isError = false) {
+  const notice = document.getElementById('notice');
+  notice.textContent = message;
+  notice.className = isError ? 'notice error' : 'notice';
+  notice.style.display = 'block';
+}
+
+async function exportThread(thread, format, kind = 'thread') {
+  try {
+    const { imagesMissing } = await callBackground('export', { kind, key: thread.key, format });
+    if (imagesMissing) showNotice(describeMissingImages(imagesMissing), true);
+  } catch (err) {
+    showNotice(`Export failed: ${err.message}`, true);
+  }
+}
+
+// ── Render ────────────────────────────────────────────────────────────
+
+function createButton(label, onClick, className = '') {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = `small ${className}`.trim();
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function createThreadRow(thread) {
+  const row = document.createElement('div');
+  row.className = 'thread';
+
+  const info = document.createElement('div');
+  info.className = 'info';
+
+  const title = document.createElement('div');
+  title.className = 'title';
+  title.textContent = thread.title || thread.path || 'Unknown thread';
+
+  const path = document.createElement('div');
+  path.className = 'path';
+  path.textContent = thread.path || thread.key;
+
+  const stats = document.createElement('div');
+  stats.className = 'stats';
+  const count = document.createElement('span');
+  count.className = 'count';
+  count.textContent = `${thread.count} messages`;
+  stats.appendChild(count);
+  const range = [thread.firstTimestamp, thread.lastTimestamp].filter(Boolean);
+  if (range.length) stats.append(` · ${range[0]} → ${range[range.length - 1]}`);
+
+  info.append(title, path, stats);
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+
+  const openBtn = createButton('Open', () => chrome.tabs.create({ url: thread.url }));
+  openBtn.disabled = !thread.url;
+
+  actions.append(
+    openBtn,
+    createButton('MD', () => exportThread(thread, 'md')),
+    createButton('HTML', () => exportThread(thread, 'html')),
+    createButton('JSON', () => exportThread(thread, 'json')),
+    createButton('Obsidian', () => exportThread(thread, 'md', 'obsidian')),
+    createButton('Print', () => callBackground('openPrint', { key: thread.key })
+      .catch(err => showNotice(`Print view failed: ${err.message}`, true))),
+    createButton('Compare', () => chrome.tabs.create({ url: chrome.runtime.getURL(`diff.html?before=${encodeURIComponent(thread.key)}`) })),
+    createButton('Delete', async () => {
+      if (confirm(`Delete all captured messages for ${thread.path || 'this thread'}? A snapshot is kept for ${SAFETY_SNAPSHOT_DAYS} days, so you can restore them from the popup.`)) {
+        try {
+          await callBackground('deleteThread', { key: thread.key });
+        } catch (err) {
+          showNotice(`Delete failed: ${err.message}`, true);
+        }
+        refresh();
+      }
+    }, 'danger'),
+  );
+
+  row.append(info, actions);
+  return row;
+}
+
+function render() {
+  const query = document.getElementById('search').value.trim();
+  const visible = threads.filter(t => matchesQuery(t, query));
+  const total = threads.reduce((sum, t) => sum + t.count, 0);
+
+  document.getElementById('summary').textContent =
+    `${threads.length} threads · ${total} messages captured`;
+
+  const list = document.getElementById('threads');
+  list.replaceChildren(...visible.map(createThreadRow));
+
+  const empty = document.getElementById('empty');
+  empty.style.display = visible.length ? 'none' : 'block';
+  empty.textContent = threads.length
+    ? 'No threads match your search.'
+    : 'Nothing captured yet. Open a Lovable project chat to start capturing.';
+}
+
+async function refresh() {
+  try {
+    threads = await callBackground('listThreads');
+  } catch (err) {
+    showNotice(`Couldn't load threads: ${err.message}`, true);
+  }
+  render();
+}
+
+document.getElementById('search').addEventListener('input', render);
+document.getElementById('btn-search').addEventListener('click', () => {
+  const query = document.getElementById('search').value.trim();
+  chrome.tabs.create({ url: chrome.runtime.getURL(`search.html${query ? `?q=${encodeURIComponent(query)}` : ''}`) });
+});
+document.getElementById('btn-bundle-all').addEventListener('click', async () => {
+  try {
+    await callBackground('export', { kind: 'bundle', projectId: null });
+  } catch (err) {
+    showNotice(`Export failed: ${err.message}`, true);
+  }
+});
+document.getElementById('btn-delete-snapshots').addEventListener('click', async () => {
+  if (!confirm('Delete every snapshot of every thread, including those kept after a Clear or Delete? This can\'t be undone.')) return;
+  try {
+    const count = await callBackground('deleteSnapshots', {});
+    showNotice(`Deleted ${count} snapshot${count === 1 ? '' : 's'}.`);
+  } catch (err) {
+    showNotice(`Couldn't delete snapshots: ${err.message}`, true);
+  }
+});
+
+const importInput = document.getElementById('import-file');
+document.getElementById('btn-import').addEventListener('click', () => importInput.click());
+importInput.addEventListener('change', async () => {
+  if (!importInput.files.length) return;
+  const totals = await importFiles(importInput.files);
+  importInput.value = '';
+  showNotice(formatImportSummary(totals), totals.errors.length > 0);
+});
+
+// The popup's Import button opens archive.html?import; a file picker needs a click on this page
+if (new URLSearchParams(location.search).has('import')) {
+  showNotice('Click Import to choose the JSON exports to merge.');
+  document.getElementById('btn-import').focus();
+}
+
+// Keep the list in sync with captures happening in other tabs
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && Object.keys(changes).some(k => k.startsWith(STORAGE_KEY_PREFIX))) {
+    refresh();
+  }
+});
+
+refresh();
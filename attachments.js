@@ -0,0 +1,117 @@
+// attachments.js — files and images that come with a message
+//
+// Loaded by the content script, background.js and the offscreen document.
+// Capture stores each message's images and file chips under `attachments`:
+//
+//   { name, type, source, inContent }
+//
+// `type` is a MIME type guessed from the name, `source` the absolute URL
+// (empty for a chip with no link) and `inContent` marks images that are
+// already part of the message's contentHtml. Exports can embed images:
+// background.js fetches them (fetchImages()) and the offscreen document
+// inlines them into HTML or bundles them next to the Markdown.
+
+const MIME_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+  webp: 'image/webp', avif: 'image/avif', svg: 'image/svg+xml',
+  pdf: 'application/pdf', txt: 'text/plain', md: 'text/markdown', csv: 'text/csv',
+  json: 'application/json', zip: 'application/zip', html: 'text/html',
+  doc: 'application/msword', docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Images that may be embedded as data: URIs (see isSafeUrl() in sanitize.js).
+// SVG can carry scripts, so it stays a link.
+const EMBEDDABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif'];
+
+const MAX_IMAGE_BYTES  = 10 * 1024 * 1024; // per image
+const MAX_EMBED_BYTES  = 40 * 1024 * 1024; // per export, so the file still opens
+
+// ── Names and types ───────────────────────────────────────────────────
+
+function attachmentType(name) {
+  const dataType = name.match(/^data:([\w.+-]+\/[\w.+-]+)[;,]/)?.[1];
+  if (dataType) return dataType.toLowerCase();
+  const ext = name.split(/[?#]/)[0].match(/\.([a-z0-9]{1,8})$/i)?.[1].toLowerCase();
+  return MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+function isImageType(type) {
+  return type.startsWith('image/');
+}
+
+// The last path segment of a URL, or `fallback` for data: and blob: sources
+function nameFromSource(source, fallback) {
+  try {
+    const url = new URL(source);
+    if (url.protocol === 'data:' || url.protocol === 'blob:') return fallback;
+    return decodeURIComponent(url.pathname.split('/').pop()) || fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function resolveSource(src, baseUrl) {
+  if (!src) return '';
+  try { return new URL(src, baseUrl).href; } catch { return ''; }
+}
+
+function extensionForType(type) {
+  const ext = Object.keys(MIME_TYPES).find(key => MIME_TYPES[key] === type);
+  return ext === 'jpeg' ? 'jpg' : ext || 'bin';
+}
+
+// ── Images in a thread ────────────────────────────────────────────────
+
+// <img src> values in serialized HTML. Service workers have no DOMParser,
+// but innerHTML always writes attributes double-quoted with & escaped.
+function imageSourcesInHtml(html) {
+  return Array.from((html || '').matchAll(/<img\b[^>]*?\ssrc="([^"]*)"/gi), m => m[1].replace(/&amp;/g, '&'));
+}
+
+/** Absolute URLs of every image in `messages`, in content or attached. */
+function threadImageSources(messages, baseUrl) {
+  const sources = new Set();
+  messages.forEach(m => {
+    imageSourcesInHtml(m.contentHtml).forEach(src => sources.add(resolveSource(src, baseUrl)));
+    (m.attachments || []).forEach(a => { if (isImageType(a.type) && a.source) sources.add(a.source); });
+  });
+  sources.delete('');
+  return [...sources];
+}
+
+/**
+ * Downloads images for embedding (background.js). Resolves to
+ * { images, failed } where `images` maps each source to { type, data }
+ * with base64 `data`, and `failed` counts images left as links: the
+ * fetch failed (no host permission, an expired URL), the type can't be
+ * embedded, or the size limits were reached.
+ */
+async function fetchImages(sources) {
+  const images = {};
+  let failed = 0;
+  let total = 0;
+  for (const source of sources) {
+    try {
+      const response = await fetch(source, { credentials: 'omit' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const blob = await response.blob();
+      const type = (blob.type || attachmentType(source)).split(';')[0].toLowerCase();
+      if (!EMBEDDABLE_IMAGE_TYPES.includes(type) || blob.size > MAX_IMAGE_BYTES || total + blob.size > MAX_EMBED_BYTES) {
+        failed++;
+        continue;
+      }
+      images[source] = { type, data: bytesToBase64(new Uint8Array(await blob.arrayBuffer())) };
+      total += blob.size;
+    } catch (err) {
+      console.warn(`[Lovable Exporter] Couldn't fetch image ${source}:`, err.message);
+      failed++;
+    }
+  }
+  return { images, failed };
+}
+
+// Shown after an export whose `imagesMissing` isn't 0
+function describeMissingImages(count) {
+  return `${count} image${count === 1 ? '' : 's'} couldn't be downloaded and ${count === 1 ? 'stays' : 'stay'} linked instead of embedded.`;
+}
@@ -0,0 +1,237 @@
+// background.js — service worker; owns thread storage access and downloads
+//
+// The popup, content script and extension pages call the API below with
+// callBackground() from api.js:
+//
+//   listThreads                              → thread summaries (threads.js)
+//   getThread    { key }                     → { key, path, url, title, messages }
+//   export       { kind, format, key, snapshotId, selection, projectId }
+//                                            → { filename, count, imagesMissing }
+//   openPrint    { key, snapshotId, selection } → true, once print.html is open
+//   renderPrint  { key, snapshotId, selection } → { html, count, imagesMissing }
+//   deleteThread { key }                     → true, after a 'clear' snapshot
+//   importThread { data }                    → { added, updated, skipped } (importer.js)
+//   getCheckpoint { key }                    → the capture checkpoint, or null
+//   storageUsage                             → { used, quota, threads } (threads.js)
+//   search       { query, role, limit }      → { hits, total } (fulltext.js)
+//   listSnapshots   { key }                  → snapshot summaries (snapshots.js)
+//   getSnapshot     { id }                   → summary plus messages
+//   createSnapshot  { key, name, kind }      → summary (kind 'manual' or 'evict')
+//   restoreSnapshot { id }                   → { threadKey, count }
+//   deleteSnapshot  { id }                   → true
+//   deleteSnapshots { key }                  → how many were deleted (every thread's without a key)
+//
+// `kind` is 'thread' (default), 'prompts', 'obsidian' or 'bundle'; with
+// `snapshotId` a thread or prompt export reads the snapshot instead.
+// Obsidian exports always hold the whole thread and overwrite the file
+// they wrote last time (see buildObsidianExport()). The print view takes
+// the same thread, snapshot and selection as a transcript. `imagesMissing`
+// counts images that stayed links when the settings ask for them to be
+// embedded (see fetchImages() in attachments.js). Export files are
+// generated in an offscreen document, because the Markdown and HTML
+// converters need a DOM that service workers don't have.
+
+importScripts('settings.js', 'threads.js', 'importer.js', 'templates.js', 'attachments.js', 'idb.js', 'fulltext.js', 'snapshots.js', 'api.js');
+
+// ── Offscreen document ────────────────────────────────────────────────
+
+const OFFSCREEN_URL = 'offscreen.html';
+let offscreenCreating = null;
+
+async function ensureOffscreen() {
+  const existing = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+  });
+  if (existing.length) return;
+
+  // Two exports at once must not both try to create it
+  offscreenCreating ??= chrome.offscreen.createDocument({
+    url: OFFSCREEN_URL,
+    reasons: ['DOM_PARSER', 'BLOBS'],
+    justification: 'Convert captured chat HTML into export files and hold them until they are downloaded',
+  }).finally(() => { offscreenCreating = null; });
+  await offscreenCreating;
+}
+
+// ── Threads ───────────────────────────────────────────────────────────
+
+function checkThreadKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(STORAGE_KEY_PREFIX)) {
+    throw new Error(`Unknown thread "${key}"`);
+  }
+}
+
+async function getThreadData(key) {
+  checkThreadKey(key);
+  return loadThreadData(key);
+}
+
+async function loadBundleItems(projectId) {
+  const summaries = (await listThreads())
+    .filter(t => t.count > 0 && (!projectId || getProjectId(t.path) === projectId));
+  return Promise.all(summaries.map(async summary => ({
+    summary,
+    messages: sortMessages(await loadThread(summary.key)),
+  })));
+}
+
+// ── Downloads ─────────────────────────────────────────────────────────
+
+function startDownload(url, filename, conflictAction = 'uniquify') {
+  return new Promise((resolve, reject) => {
+    chrome.downloads.download({ url, filename, saveAs: getSettings().saveAs, conflictAction }, downloadId => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(downloadId);
+    });
+  });
+}
+
+function releaseFile(url) {
+  sendRequest('offscreen', 'release', { url }).catch(() => { /* document already gone */ });
+}
+
+// The blob URL must outlive the download, including any "Save as" dialog
+function releaseWhenDone(downloadId, url) {
+  const listener = delta => {
+    if (delta.id !== downloadId || !delta.state || delta.state.current === 'in_progress') return;
+    chrome.downloads.onChanged.removeListener(listener);
+    releaseFile(url);
+  };
+  chrome.downloads.onChanged.addListener(listener);
+}
+
+// Thread exports that embed or bundle their images, per the settings
+function wantsImages(kind, format, settings) {
+  if (kind === 'print') return settings.inlineImages;
+  return kind === 'thread' && ((format === 'html' && settings.inlineImages) || (format === 'md' && settings.bundleImages));
+}
+
+/**
+ * The thread (or snapshot) an export or print view is built from, narrowed
+ * to `selection` and with its images fetched when the settings ask for it.
+ * Resolves to { thread, imagesMissing }.
+ */
+async function loadExportThread({ kind, format, key, snapshotId, selection }, settings) {
+  const source = snapshotId ? await getSnapshot(snapshotId) : await getThreadData(key);
+  const { messages: all, path, url, title } = source;
+  // Prompt libraries need the replies, so only the range applies to them;
+  // an Obsidian note replaces the previous export, so it takes everything
+  const { messages, range } = kind === 'obsidian'
+    ? selectMessages(all)
+    : selectMessages(all, kind === 'prompts' ? { ...selection, role: 'all' } : selection);
+  if (!messages.length) throw new Error('No messages match the selected range.');
+  if (kind === 'prompts' && !messages.some(m => m.role === 'user')) throw new Error('No prompts in the selected range.');
+  const thread = { key: source.key, path, url, title, messages, range: { ...range, total: all.length } };
+
+  let imagesMissing = 0;
+  if (wantsImages(kind, format, settings)) {
+    const { images, failed } = await fetchImages(threadImageSources(messages, url));
+    thread.images = images;
+    imagesMissing = failed;
+  }
+  return { thread, imagesMissing };
+}
+
+async function exportFile({ kind = 'thread', format, key, snapshotId, selection, projectId = null }) {
+  const [settings, templates] = await Promise.all([loadSettings(), loadTemplates()]);
+  let request;
+  let imagesMissing = 0;
+  if (kind === 'bundle') {
+    const items = await loadBundleItems(projectId);
+    if (!items.length) throw new Error('No captured threads to bundle.');
+    request = { kind, items, projectId, count: items.length };
+  } else {
+    const loaded = await loadExportThread({ kind, format, key, snapshotId, selection }, settings);
+    request = { kind, format, thread: loaded.thread, count: loaded.thread.messages.length };
+    imagesMissing = loaded.imagesMissing;
+  }
+
+  await ensureOffscreen();
+  const { url, filename } = await sendRequest('offscreen', 'build', { ...request, settings, templates });
+  try {
+    releaseWhenDone(await startDownload(url, filename, kind === 'obsidian' ? 'overwrite' : 'uniquify'), url);
+  } catch (err) {
+    releaseFile(url);
+    throw err;
+  }
+  return { filename, count: request.count, imagesMissing };
+}
+
+// ── Print view ────────────────────────────────────────────────────────
+// print.html asks for its document with renderPrint; the content script
+// can't open extension pages itself, so every caller goes through openPrint.
+
+function openPrint(request) {
+  const url = chrome.runtime.getURL(`print.html?request=${encodeURIComponent(JSON.stringify(request))}`);
+  return new Promise(resolve => chrome.tabs.create({ url }, () => resolve(true)));
+}
+
+async function renderPrint({ key, snapshotId, selection }) {
+  const [settings, templates] = await Promise.all([loadSettings(), loadTemplates()]);
+  const { thread, imagesMissing } = await loadExportThread({ kind: 'print', key, snapshotId, selection }, settings);
+  await ensureOffscreen();
+  const html = await sendRequest('offscreen', 'render', { thread, settings, templates });
+  return { html, count: thread.messages.length, imagesMissing };
+}
+
+// ── Storage events ────────────────────────────────────────────────────
+// Every save passes through here, whichever page wrote it: message records
+// feed the search index, thread indexes the automatic snapshots.
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  updateSearchIndex(changes);
+  snapshotOnGrowth(changes);
+});
+
+scheduleSnapshots();
+
+// ── API ───────────────────────────────────────────────────────────────
+
+handleRequests('background', {
+  listThreads: () => listThreads(),
+  getThread: ({ key }) => getThreadData(key),
+  export: request => exportFile(request),
+  openPrint: request => openPrint(request),
+  renderPrint: request => renderPrint(request),
+  deleteThread: async ({ key }) => {
+    checkThreadKey(key);
+    // Lets a mis-clicked Clear or Delete be undone from the snapshot list
+    await createSnapshot(key, { kind: 'clear' });
+    await deleteThread(key);
+    return true;
+  },
+  // `data` is parseExportFile()'s result; the page reads and parses the file
+  importThread: ({ data }) => {
+    if (!isChatPath(data?.path) || !Array.isArray(data.messages)) throw new Error('Not a Lovable chat export.');
+    // Pages normalise already; this keeps storage safe from any other caller
+    const { messages, invalid } = normalizeImportedMessages(data.messages);
+    return importThreadExport({ ...data, messages, invalid: (Number(data.invalid) || 0) + invalid });
+  },
+  getCheckpoint: ({ key }) => {
+    checkThreadKey(key);
+    return loadCheckpoint(key);
+  },
+  storageUsage: () => getStorageUsage(),
+  search: request => searchMessages(request),
+  listSnapshots: ({ key }) => listSnapshots(key),
+  getSnapshot: ({ id }) => getSnapshot(id),
+  createSnapshot: async ({ key, name, kind = 'manual' }) => {
+    checkThreadKey(key);
+    if (kind !== 'manual' && kind !== 'evict') throw new Error(`Unknown snapshot kind "${kind}"`);
+    const snapshot = await createSnapshot(key, { kind, name });
+    // Evicting an empty thread loses nothing
+    if (!snapshot && kind === 'manual') throw new Error('This thread has no captured messages to snapshot.');
+    return snapshot;
+  },
+  restoreSnapshot: ({ id }) => restoreSnapshot(id),
+  deleteSnapshot: async ({ id }) => {
+    await deleteSnapshot(id);
+    return true;
+  },
+  deleteSnapshots: ({ key }) => {
+    if (key) checkThreadKey(key);
+    return deleteSnapshots(key);
+  },
+});
@@ -12,37 +12,62 @@
   // ── Config ────────────────────────────────────────────────────────────
 
   const BUTTON_ID     = 'lce-export-btn';
-  const STORAGE_KEY_PREFIX = 'lce_thread_';
 
   // ── Helpers ───────────────────────────────────────────────────────────
+  // Storage keys live in threads.js, page selectors in selectors.js,
+  // attachment helpers in attachments.js and the background API client in
+  // api.js, which the manifest injects ahead of this script.
 
   function getThreadKey() {
-    // Use pathname as thread identifier. Lovable URLs look like:
-    //   /projects/:id  or  /chat/:id
-    const path = location.pathname.replace(/\/$/, '');
-    return STORAGE_KEY_PREFIX + btoa(path).replace(/[^a-z0-9]/gi, '_');
+    // Use pathname as thread identifier
+    return getThreadKeyForPath(location.pathname);
   }
 
   function isOnChatPage() {
-    return /\/(projects|chat)\/[a-zA-Z0-9_-]+/.test(location.pathname);
+    return isChatPath(location.pathname);
+  }
+
+  // The language Lovable writes its dates in
+  function pageLocale() {
+    return document.documentElement.lang || navigator.language;
   }
 
   // ── Storage helpers ───────────────────────────────────────────────────
 
   async function loadMessages() {
-    const key = getThreadKey();
-    return new Promise(resolve => {
-      chrome.storage.local.get([key], result => {
-        resolve(result[key] || {});
-      });
-    });
+    const messages = await loadThread(getThreadKey());
+    // Threads stored before ordering keys existed are migrated once, on load
+    if (ensureOrder(messages)) await saveMessages(messages);
+    return messages;
   }
 
+  let storageWarned = false;
+
+  /**
+   * Saves the thread and reports storage trouble on the page: evictions,
+   * the nearly-full warning (once, until usage drops again) and failed
+   * writes. Resolves to false if nothing could be saved.
+   */
   async function saveMessages(messagesMap) {
-    const key = getThreadKey();
-    return new Promise(resolve => {
-      chrome.storage.local.set({ [key]: messagesMap }, resolve);
-    });
+    const path = location.pathname.replace(/\/$/, '');
+    try {
+      const { used, quota, evicted } = await saveThread(getThreadKey(), messagesMap, {
+        path,
+        url: location.origin + path,
+        title: document.title,
+      });
+      const nearlyFull = used >= quota * STORAGE_WARN_RATIO;
+      if (evicted.length) {
+        showToast(describeEviction(evicted), 'error');
+      } else if (nearlyFull && !storageWarned) {
+        showToast(`Storage is ${Math.round((used / quota) * 100)}% full. The extension popup shows what each thread uses.`, 'error');
+      }
+      storageWarned = nearlyFull;
+      return true;
+    } catch (err) {
+      showToast(`Couldn't save captured messages: ${err.message}`, 'error');
+      return false;
+    }
   }
 
   // ── Message parsing ───────────────────────────────────────────────────
@@ -53,43 +78,291 @@
 
     const role = id.startsWith('umsg_') ? 'user' : 'ai';
 
-    // Timestamp — grab the visible date+time spans
-    const dateSpan = el.querySelector('.text-muted-foreground.font-medium');
-    const timeSpan = dateSpan ? dateSpan.nextElementSibling : null;
-    const timestampText = [dateSpan?.textContent?.trim(), timeSpan?.textContent?.trim()]
-      .filter(Boolean).join(' ');
+    // Timestamp — the visible date+time text, and the moment it stands for
+    const timestampText = findField('timestamp', el) || '';
+    const timestamp = timestampToIso(timestampText, pageLocale());
 
     // For ordering we also capture the CSS top value (virtualised list position)
     const topPx = parseFloat(el.style.top) || 0;
 
-    // Content: for user messages grab the prose div; for AI grab the main prose block
-    let contentHtml = '';
-    let contentText = '';
+    // Content: for user messages the prompt box; for AI the prose blocks
+    // outside the "Thought for Xs" and "N tools used" panels, read separately
+    const details = role === 'ai' ? parseDetails(el) : null;
+    const panels = details ? details.panels : [];
+    const textBlocks = role === 'user'
+      ? [findField('userContent', el)].filter(Boolean)
+      : findField('aiContent', el).filter(p => !panels.some(panel => panel.contains(p)));
+    const blocks = withCodeBlocks(el, textBlocks, panels)
+      .filter(b => b.textContent.trim() || b.querySelector('img'));
+    const contentHtml = blocks.map(b => (b.tagName === 'PRE' ? b.outerHTML : b.innerHTML)).join('\n');
+    const contentText = blocks.map(blockText).filter(Boolean).join('\n\n');
+    const attachments = parseAttachments(el, blocks, panels);
+
+    if (details) {
+      const { thoughts, tools, toolSummary } = details;
+      return {
+        id, role, timestampText, timestamp, topPx, contentHtml, contentText, attachments,
+        thoughts, tools, toolSummary,
+        hash: hashContent(contentHtml, contentText),
+      };
+    }
 
-    if (role === 'user') {
-      const prose = el.querySelector('.PromptBox_customProse__le_d3, .prose');
-      contentHtml = prose ? prose.innerHTML : '';
-      contentText = prose ? prose.textContent.trim() : '';
-    } else {
-      // AI message: collect all prose content blocks
-      const proseBlocks = el.querySelectorAll('.prose');
-      const parts = [];
-      proseBlocks.forEach(p => { if (p.textContent.trim()) parts.push(p.innerHTML); });
-      contentHtml = parts.join('\n');
-      contentText = proseBlocks.length
-        ? Array.from(proseBlocks).map(p => p.textContent.trim()).join('\n\n')
-        : el.textContent.trim();
-
-      // Also capture "Thought for Xs" and "N tools used" as metadata
-      const thoughtBtn = el.querySelector('button span.truncate');
-      const toolBtn    = el.querySelector('button .truncate');
-      const meta = [];
-      if (thoughtBtn?.textContent) meta.push(thoughtBtn.textContent.trim());
-      if (toolBtn?.textContent && toolBtn !== thoughtBtn) meta.push(toolBtn.textContent.trim());
-      if (meta.length) contentText = `[${meta.join(' · ')}]\n\n` + contentText;
+    return {
+      id, role, timestampText, timestamp, topPx, contentHtml, contentText, attachments,
+      hash: hashContent(contentHtml, contentText),
+    };
+  }
+
+  const TEXT_BLOCK_TAGS = new Set([
+    'P', 'DIV', 'LI', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'TABLE', 'TR',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'SECTION', 'ARTICLE', 'FIGURE', 'HR',
+  ]);
+
+  // An element's text with a blank line between its paragraphs, list items
+  // and other blocks; textContent alone runs "one.Two" together
+  function blockText(el) {
+    const parts = [];
+    let line = '';
+    const flush = () => {
+      if (line.trim()) parts.push(line.trim());
+      line = '';
+    };
+    const walk = node => {
+      if (node.nodeType === Node.TEXT_NODE) { line += node.textContent; return; }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      if (node.tagName === 'BR') { line += '\n'; return; }
+      const block = TEXT_BLOCK_TAGS.has(node.tagName);
+      if (block) flush();
+      node.childNodes.forEach(walk);
+      if (block) flush();
+    };
+    el.childNodes.forEach(walk);
+    flush();
+    return parts.join('\n\n');
+  }
+
+  // Code blocks rendered outside the text blocks join them, in page order
+  function withCodeBlocks(el, blocks, panels) {
+    const loose = findField('codeBlocks', el)
+      .filter(pre => !blocks.some(b => b.contains(pre)) && !panels.some(panel => panel.contains(pre)));
+    if (!loose.length) return blocks;
+    return outermost([...blocks, ...loose])
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  }
+
+  // ── Attachments ───────────────────────────────────────────────────────
+  // Images (in the text or attached to a prompt) and file chips, stored as
+  // { name, type, source, inContent } entries (see attachments.js).
+
+  function parseAttachments(el, blocks, panels) {
+    const within = (node, list) => list.some(b => b.contains(node));
+    const attachments = [];
+
+    findField('images', el)
+      .filter(img => !within(img, panels))
+      .forEach((img, i) => {
+        const source = resolveSource(img.currentSrc || img.getAttribute('src'), location.href);
+        const name = img.getAttribute('alt')?.trim() || nameFromSource(source, `image-${i + 1}`);
+        // blob: and extensionless URLs don't say which format; fetchImages() finds out
+        const type = [source, name].map(attachmentType).find(isImageType) || 'image/*';
+        attachments.push({ name, type, source, inContent: within(img, blocks) });
+      });
+
+    findField('fileChips', el)
+      .filter(chip => !within(chip, blocks) && !within(chip, panels))
+      .forEach(chip => {
+        const link = chip.closest('a') || chip.querySelector('a');
+        const name = chip.getAttribute('data-file-name') || link?.getAttribute('download') || chip.textContent.trim();
+        const source = resolveSource(link?.getAttribute('href'), location.href);
+        attachments.push({ name, type: attachmentType(name), source, inContent: false });
+      });
+
+    const seen = new Set();
+    return attachments.filter(a => {
+      const key = attachmentKey(a);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Signed URLs change their query on every render; the name and path don't
+  function attachmentKey(a) {
+    return `${a.name}|${a.source.split('?')[0]}`;
+  }
+
+  /**
+   * Adds attachments `stored` doesn't have yet and refreshes the URLs of
+   * those it has. Entries are never dropped: a half-rendered element
+   * missing an image isn't a removal. Returns true if anything changed.
+   */
+  function mergeAttachments(stored, msg) {
+    const byKey = new Map((stored.attachments || []).map(a => [attachmentKey(a), a]));
+    let changed = false;
+    msg.attachments.forEach(a => {
+      const known = byKey.get(attachmentKey(a));
+      if (!known) {
+        byKey.set(attachmentKey(a), a);
+        changed = true;
+      } else if (known.source !== a.source) {
+        known.source = a.source;
+        changed = true;
+      }
+    });
+    if (changed) stored.attachments = Array.from(byKey.values());
+    return changed;
+  }
+
+  // ── Thoughts & tool calls ─────────────────────────────────────────────
+  // AI replies carry collapsible "Thought for Xs" and "N tools used"
+  // buttons. Their panels are only in the DOM while expanded, so whatever
+  // is open gets read here and captureCollapsedPanels() opens the rest
+  // during a full-history capture.
+
+  function classifyTrigger(btn) {
+    const label = findField('triggerLabel', btn).textContent.trim();
+    if (/^(thought|thinking)\b/i.test(label)) return { kind: 'thought', label };
+    if (/\btools?\s+used\b|^\d+\s+(tools?|edits?|actions?)\b/i.test(label)) return { kind: 'tools', label };
+    return null;
+  }
+
+  function findPanel(btn) {
+    const id = btn.getAttribute('aria-controls');
+    if (id) return document.getElementById(id);
+    // Collapsibles without aria-controls render the panel right after the trigger
+    const next = btn.nextElementSibling;
+    return next && next.getAttribute('data-state') !== 'closed' && next.textContent.trim() ? next : null;
+  }
+
+  function parseToolRow(row) {
+    const text = row.textContent.replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+    const target = row.querySelector('code')?.textContent.trim()
+      || text.match(/(?:[\w@.-]+\/)*[\w@-]+\.[a-z0-9]{1,6}\b/i)?.[0]
+      || '';
+    const name = text.split(' ')[0];
+    const summary = text.slice(name.length).replace(target, '').trim().replace(/^[-–—:·]\s*/, '');
+    return { name, target, summary };
+  }
+
+  function parseDetails(el) {
+    const thoughts = [];
+    const tools = [];
+    const panels = [];
+    let toolSummary = '';
+
+    el.querySelectorAll('button').forEach(btn => {
+      const trigger = classifyTrigger(btn);
+      if (!trigger) return;
+      const panel = findPanel(btn);
+      if (panel) panels.push(panel);
+
+      if (trigger.kind === 'thought') {
+        thoughts.push({ label: trigger.label, text: panel ? panel.textContent.trim() : '' });
+      } else {
+        toolSummary = trigger.label;
+        if (!panel) return;
+        const rows = panel.querySelectorAll('li, [role="listitem"]');
+        (rows.length ? Array.from(rows) : Array.from(panel.children))
+          .map(parseToolRow)
+          .forEach(tool => { if (tool) tools.push(tool); });
+      }
+    });
+
+    return { thoughts, tools, toolSummary, panels };
+  }
+
+  /**
+   * Keeps the richest version of an AI message's thoughts and tool calls.
+   * A collapsed panel parses as a bare label, which must not replace rows
+   * read while it was open. Returns true if anything changed.
+   */
+  function mergeDetails(stored, msg) {
+    if (msg.role !== 'ai') return false;
+    let changed = false;
+    const textLength = list => (list || []).reduce((n, t) => n + (t.text || '').length, 0);
+
+    if (msg.toolSummary && msg.toolSummary !== stored.toolSummary) {
+      stored.toolSummary = msg.toolSummary;
+      changed = true;
     }
+    if (msg.tools.length >= (stored.tools || []).length
+        && JSON.stringify(msg.tools) !== JSON.stringify(stored.tools || [])) {
+      stored.tools = msg.tools;
+      changed = true;
+    }
+    if (textLength(msg.thoughts) >= textLength(stored.thoughts)
+        && JSON.stringify(msg.thoughts) !== JSON.stringify(stored.thoughts || [])) {
+      stored.thoughts = msg.thoughts;
+      changed = true;
+    }
+    return changed;
+  }
+
+  async function captureCollapsedPanels() {
+    const triggers = findField('messages')
+      .flatMap(el => Array.from(el.querySelectorAll('button[aria-expanded="false"]')))
+      .filter(classifyTrigger);
+    if (!triggers.length) return;
+
+    triggers.forEach(btn => btn.click());
+    await sleep(200); // let the panels mount
+    scanVisibleMessages();
+
+    // Put the UI back the way the user left it
+    triggers.forEach(btn => {
+      if (btn.isConnected && btn.getAttribute('aria-expanded') === 'true') btn.click();
+    });
+  }
+
+  // FNV-1a over the captured content — cheap enough to run on every mutation
+  function hashContent(contentHtml, contentText) {
+    const str = `${contentHtml}\u0000${contentText}`;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+  }
 
-    return { id, role, timestampText, topPx, contentHtml, contentText };
+  // ── Drift self-check ──────────────────────────────────────────────────
+  // When Lovable changes its markup, selectors.js may still find the
+  // messages but read them as empty. Once enough of a thread has been
+  // seen, warn (once per page load) if most messages came out without
+  // text or none had a timestamp.
+
+  const DRIFT_SAMPLE      = 5;
+  const DRIFT_EMPTY_RATIO = 0.5;
+
+  let driftThread = null;
+  let driftWarned = false;
+  const parseHealth = new Map(); // id → { empty, untimed } as last parsed
+
+  function checkForDrift(messages) {
+    if (driftWarned) return;
+    if (driftThread !== getThreadKey()) {
+      driftThread = getThreadKey();
+      parseHealth.clear();
+    }
+    // A reply that was empty mid-render counts as fine once it fills in
+    messages.forEach(m => parseHealth.set(m.id, { empty: !m.contentText, untimed: !m.timestampText }));
+    if (parseHealth.size < DRIFT_SAMPLE) return;
+
+    const health = Array.from(parseHealth.values());
+    const empty = health.filter(h => h.empty).length;
+    const problems = [];
+    if (empty >= health.length * DRIFT_EMPTY_RATIO) problems.push(`${empty} of ${health.length} messages were read without text`);
+    if (health.every(h => h.untimed)) problems.push('none had a timestamp');
+    if (!problems.length) return;
+
+    driftWarned = true;
+    showToast(`Lovable's page layout seems to have changed: ${problems.join(' and ')}. Captures may be incomplete until the extension is updated.`, 'error');
+    console.warn('[Lovable Exporter] Possible DOM drift', {
+      selectorsVersion: SELECTORS_VERSION,
+      problems,
+      fallbacks: selectorDrift(),
+    });
   }
 
   // ── Incremental capture ───────────────────────────────────────────────
@@ -97,6 +370,8 @@
   let capturedMessages = {}; // id → message object (in-memory mirror)
   let pendingSave = false;
 
+  const MAX_REVISIONS = 20;
+
   function flushSave() {
     if (pendingSave) return;
     pendingSave = true;
@@ -104,274 +379,537 @@
       await saveMessages(capturedMessages);
       pendingSave = false;
       updateButtonLabel();
-    }, 400);
+    }, getSettings().saveDebounceMs);
+  }
+
+  /**
+   * Replaces the stored content of `stored` with the freshly parsed `msg`.
+   * A reply that is still streaming only grows, so it is overwritten in
+   * place; any other change (an edit, a regenerated reply) pushes the old
+   * version onto `revisions` so the JSON export shows how it evolved.
+   * Returns true if anything changed.
+   */
+  function applyUpdate(stored, msg) {
+    // Threads captured before hashing was added have no hash yet
+    if (!stored.hash) stored.hash = hashContent(stored.contentHtml, stored.contentText);
+    if (stored.hash === msg.hash) return false;
+
+    // A half-rendered element parses as empty — never let it wipe real content
+    if (!msg.contentText && stored.contentText) return false;
+
+    const now = new Date().toISOString();
+    // Older captures prefixed AI text with "[Thought for Xs · N tools used]"; ignore it
+    const body = text => (text || '').replace(/^\[[^\]]*\]\n\n/, '');
+    const isStreaming = body(msg.contentText).startsWith(body(stored.contentText));
+    // Same markup read into different text is an extension update, not an edit
+    const reread = msg.contentHtml === stored.contentHtml;
+    if (!isStreaming && !reread) {
+      const revisions = stored.revisions || [];
+      revisions.push({
+        hash: stored.hash,
+        contentHtml: stored.contentHtml,
+        contentText: stored.contentText,
+        capturedAt: stored.updatedAt || stored.capturedAt || null,
+      });
+      stored.revisions = revisions.slice(-MAX_REVISIONS);
+    }
+
+    Object.assign(stored, {
+      timestampText: msg.timestampText || stored.timestampText,
+      timestamp: msg.timestamp || stored.timestamp || null,
+      contentHtml: msg.contentHtml,
+      contentText: msg.contentText,
+      hash: msg.hash,
+      updatedAt: now,
+    });
+    return true;
+  }
+
+  // Rendered messages, top to bottom
+  function visibleMessages() {
+    return findField('messages')
+      .map(parseMessageElement)
+      .filter(Boolean)
+      .sort((a, b) => a.topPx - b.topPx);
   }
 
   function scanVisibleMessages() {
-    const els = document.querySelectorAll('[data-message-id]');
+    // topPx is only meaningful within a single render, so it just orders this
+    // batch; placeNewMessages() (threads.js) turns that into durable keys.
+    // Each message also remembers the neighbours it was rendered with.
+    const visible = visibleMessages();
+    checkForDrift(visible);
+
     let newCount = 0;
-    els.forEach(el => {
-      const msg = parseMessageElement(el);
-      if (!msg) return;
-      if (!capturedMessages[msg.id]) {
-        capturedMessages[msg.id] = msg;
+    let changedCount = 0;
+    const batch = visible.map((msg, i) => {
+      const prevId = visible[i - 1]?.id || null;
+      const nextId = visible[i + 1]?.id || null;
+      let stored = capturedMessages[msg.id];
+      if (!stored) {
+        stored = capturedMessages[msg.id] = { ...msg, capturedAt: new Date().toISOString() };
         newCount++;
       } else {
         // Update topPx in case the virtual list recalculated positions
-        capturedMessages[msg.id].topPx = msg.topPx;
+        stored.topPx = msg.topPx;
+        // Messages captured before timestamps were parsed pick one up
+        if (!stored.timestamp && msg.timestamp) {
+          stored.timestamp = msg.timestamp;
+          changedCount++;
+        }
+        const updated = applyUpdate(stored, msg);
+        const attached = mergeAttachments(stored, msg);
+        if (mergeDetails(stored, msg) || updated || attached) changedCount++;
       }
+      // New links are saved too — sweeps rely on them to prove nothing is missing
+      if ((prevId && stored.prevId !== prevId) || (nextId && stored.nextId !== nextId)) changedCount++;
+      if (prevId) stored.prevId = prevId;
+      if (nextId) stored.nextId = nextId;
+      return stored;
     });
-    if (newCount > 0) flushSave();
+
+    if (newCount > 0) placeNewMessages(capturedMessages, batch);
+    if (newCount > 0 || changedCount > 0) flushSave();
     return newCount;
   }
 
   // ── MutationObserver — watch for new messages entering the DOM ─────────
 
+  // A streaming reply mutates the page many times a second; scan at most
+  // once per SCAN_DELAY_MS, the way flushSave() batches saves
+  const SCAN_DELAY_MS = 200;
+
   let observer = null;
+  let pendingScan = false;
+
+  function scheduleScan() {
+    if (pendingScan) return;
+    pendingScan = true;
+    setTimeout(() => {
+      pendingScan = false;
+      scanVisibleMessages();
+    }, SCAN_DELAY_MS);
+  }
 
   function startObserver() {
     if (observer) return;
-    observer = new MutationObserver(() => {
-      scanVisibleMessages();
-    });
+    observer = new MutationObserver(scheduleScan);
     const target = document.body;
-    observer.observe(target, { childList: true, subtree: true });
+    // characterData catches streaming replies that update text nodes in place
+    observer.observe(target, { childList: true, subtree: true, characterData: true });
   }
 
-  // ── Auto-scroll to capture full history ──────────────────────────────
+  // ── Full-history capture job ──────────────────────────────────────────
+  // Scrolls towards the oldest message until the list stops growing. The
+  // job can be paused, resumed and cancelled from the menu or the popup,
+  // reports progress to both, and checkpoints the oldest message reached so
+  // the next run skips quickly through what it already has. Waits adapt to
+  // how long the list actually takes to render each batch.
+
+  const MIN_WAIT_MS = 150;
+  const QUIET_MS    = 120; // no DOM changes for this long = the batch has rendered
+
+  let job = null; // see startCapture() for the fields
+
+  function captureStatus() {
+    const found = Object.keys(capturedMessages).length;
+    if (!job) return { state: 'idle', found };
+    const total = job.checkpoint?.total || 0;
+    return {
+      state: job.state,
+      found,
+      newThisRun: found - job.startCount,
+      estimatedRemaining: total > found ? total - found : null,
+      idleRounds: job.idleRounds,
+      stableRounds: getSettings().stableRounds,
+      resuming: job.resuming,
+      phase: job.phase,
+      sweepProgress: job.sweepProgress,
+      waitMs: job.waitMs,
+    };
+  }
 
-  let isAutoScrolling = false;
+  function emitCaptureProgress() {
+    const status = captureStatus();
+    updateButtonLabel();
+    // The popup listens while it's open; nobody answering is fine
+    chrome.runtime.sendMessage({ action: 'captureProgress', ...status }, () => void chrome.runtime.lastError);
+  }
 
-  async function autoScrollAndCapture() {
-    if (isAutoScrolling) return;
-    isAutoScrolling = true;
+  // Lists laid out with column-reverse scroll into negative scrollTop
+  function isReversedList(el) {
+    return getComputedStyle(el).flexDirection === 'column-reverse';
+  }
 
-    const btn = document.getElementById(BUTTON_ID);
-    if (btn) { btn.textContent = '⏳ Capturing…'; btn.disabled = true; }
+  function oldestEdge(el) {
+    return isReversedList(el) ? -(el.scrollHeight - el.clientHeight) : 0;
+  }
+
+  function newestEdge(el) {
+    return isReversedList(el) ? 0 : el.scrollHeight;
+  }
+
+  /**
+   * Resolves once `el` has changed and then stayed quiet for QUIET_MS, or
+   * after `maxMs` with nothing rendered: { changed, renderMs }.
+   */
+  function waitForRender(el, maxMs) {
+    return new Promise(resolve => {
+      const start = performance.now();
+      let changed = false;
+      let quietTimer = null;
+      const finish = () => {
+        watcher.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(maxTimer);
+        resolve({ changed, renderMs: performance.now() - start - (changed ? QUIET_MS : 0) });
+      };
+      const watcher = new MutationObserver(() => {
+        changed = true;
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(finish, QUIET_MS);
+      });
+      watcher.observe(el, { childList: true, subtree: true });
+      const maxTimer = setTimeout(finish, maxMs);
+    });
+  }
+
+  // Aim for twice the measured render time; back off when nothing rendered
+  function adaptWait(changed, renderMs) {
+    const max = getSettings().scrollWaitMs * 4;
+    const next = changed ? (job.waitMs + renderMs * 2 + QUIET_MS) / 2 : job.waitMs * 1.5;
+    job.waitMs = Math.round(Math.min(max, Math.max(MIN_WAIT_MS, next)));
+  }
+
+  function isRendered(messageId) {
+    return findField('messages')
+      .some(el => el.getAttribute('data-message-id') === messageId);
+  }
 
-    // Find the scrollable chat container
-    const scrollEl = findScrollContainer();
+  function writeCheckpoint(complete, extra = {}) {
+    if (getThreadKey() !== job.threadKey) return; // navigated away mid-run
+    const sorted = getSortedMessages();
+    const found = sorted.length;
+    const total = complete ? found : Math.max(job.checkpoint?.total || 0, found);
+    return saveCheckpoint(job.threadKey, {
+      ...job.checkpoint,
+      oldestId: sorted[0]?.id || null,
+      found,
+      total,
+      complete,
+      ...extra,
+    });
+  }
+
+  // `sweep` adds a top-to-bottom pass once the oldest message is loaded
+  async function startCapture({ sweep = false } = {}) {
+    if (job) {
+      resumeCapture();
+      return;
+    }
+    const scrollEl = findField('scrollContainer');
     if (!scrollEl) {
       showToast('Could not find scroll container.', 'error');
-      isAutoScrolling = false;
-      restoreButton();
       return;
     }
 
-    // Scroll to the very top, batch by batch, until no new messages appear
-    let lastCount = 0;
-    let stableRounds = 0;
+    const threadKey = getThreadKey();
+    const checkpoint = await loadCheckpoint(threadKey);
+    job = {
+      state: 'running',
+      phase: 'oldest',
+      sweep,
+      threadKey,
+      startCount: Object.keys(capturedMessages).length,
+      idleRounds: 0,
+      waitMs: getSettings().scrollWaitMs,
+      checkpoint,
+      // A previous run got further than what's rendered now: skip ahead to it
+      resuming: !!checkpoint?.oldestId && !isRendered(checkpoint.oldestId),
+      sweepProgress: 0,
+      gaps: [],
+      wake: null,
+    };
+    emitCaptureProgress();
+    await runCapture(scrollEl);
+  }
+
+  function pauseCapture() {
+    if (job?.state !== 'running') return;
+    job.state = 'paused';
+    emitCaptureProgress();
+  }
+
+  function resumeCapture() {
+    if (job?.state !== 'paused') return;
+    job.state = 'running';
+    job.wake?.();
+    emitCaptureProgress();
+  }
+
+  function cancelCapture() {
+    if (!job) return;
+    job.state = 'cancelled';
+    job.wake?.();
+  }
+
+  // Holds the job while it's paused; false once it should stop
+  async function shouldContinue() {
+    while (job.state === 'paused') {
+      await new Promise(resolve => { job.wake = resolve; });
+      job.wake = null;
+    }
+    return job.state === 'running';
+  }
 
-    while (stableRounds < 3) {
-      scrollEl.scrollTop = 0;
-      await sleep(600); // wait for virtual list to render new batch
+  async function scrollToOldest(scrollEl) {
+    while (await shouldContinue()) {
+      const before = Object.keys(capturedMessages).length;
+      scrollEl.scrollTop = oldestEdge(scrollEl);
+      const { changed, renderMs } = await waitForRender(scrollEl, job.waitMs);
+      adaptWait(changed, renderMs);
       scanVisibleMessages();
-      const currentCount = Object.keys(capturedMessages).length;
-      if (currentCount === lastCount) {
-        stableRounds++;
-      } else {
-        stableRounds = 0;
-        lastCount = currentCount;
-      }
+      await captureCollapsedPanels();
+
+      // While skipping ahead, re-rendering known messages counts as progress
+      if (job.resuming && isRendered(job.checkpoint.oldestId)) job.resuming = false;
+      const progressed = Object.keys(capturedMessages).length > before || (job.resuming && changed);
+      job.idleRounds = progressed ? 0 : job.idleRounds + 1;
+
+      if (job.state === 'running' && job.idleRounds >= getSettings().stableRounds) job.state = 'done';
+      await writeCheckpoint(job.state === 'done');
+      emitCaptureProgress();
     }
+  }
+
+  // ── Sweep ─────────────────────────────────────────────────────────────
+  // Walks from the oldest message to the newest in steps smaller than the
+  // viewport. Each view must share at least one message with the one
+  // before; if it doesn't, the step is halved and retried, and only a miss
+  // at the smallest step is recorded as a gap.
 
-    // Scroll back to bottom so the user's context is preserved
-    scrollEl.scrollTop = scrollEl.scrollHeight;
+  const SWEEP_STEP     = 0.75; // fraction of the viewport moved per step
+  const SWEEP_MIN_STEP = 40;   // px
 
-    isAutoScrolling = false;
-    restoreButton();
-    showToast(`✅ Captured ${Object.keys(capturedMessages).length} messages!`);
+  function atNewestEdge(el) {
+    return isReversedList(el)
+      ? el.scrollTop >= -1
+      : el.scrollTop + el.clientHeight >= el.scrollHeight - 1;
   }
 
-  function findScrollContainer() {
-    // Try known patterns first
-    const candidates = [
-      document.querySelector('[class*="overflow-y-auto"]'),
-      document.querySelector('[class*="overflow-y-scroll"]'),
-      document.querySelector('main'),
-    ];
-    for (const el of candidates) {
-      if (el && el.scrollHeight > el.clientHeight) return el;
-    }
-    // Fallback: find the deepest element with vertical scroll
-    let deepest = null;
-    document.querySelectorAll('*').forEach(el => {
-      if (el.scrollHeight > el.clientHeight + 50) {
-        if (!deepest || el.contains(deepest)) deepest = el;
+  function sweepFraction(el) {
+    const range = el.scrollHeight - el.clientHeight;
+    if (range <= 0) return 1;
+    return isReversedList(el) ? 1 + el.scrollTop / range : el.scrollTop / range;
+  }
+
+  async function sweepToNewest(scrollEl) {
+    const fullStep = () => Math.max(SWEEP_MIN_STEP, scrollEl.clientHeight * SWEEP_STEP);
+    let previous = visibleMessages().map(m => m.id);
+    let step = fullStep();
+
+    while (!atNewestEdge(scrollEl) && await shouldContinue()) {
+      const from = scrollEl.scrollTop;
+      scrollEl.scrollTop = from + step;
+      if (scrollEl.scrollTop === from) break; // can't move any further
+      const { changed, renderMs } = await waitForRender(scrollEl, job.waitMs);
+      if (changed) adaptWait(changed, renderMs);
+      scanVisibleMessages();
+      await captureCollapsedPanels();
+
+      const current = visibleMessages().map(m => m.id);
+      if (previous.length && current.length && !current.some(id => previous.includes(id))) {
+        if (step > SWEEP_MIN_STEP) {
+          // Moved past messages without seeing them — go back and take a smaller step
+          scrollEl.scrollTop = from;
+          await waitForRender(scrollEl, job.waitMs);
+          step = Math.max(SWEEP_MIN_STEP, step / 2);
+          continue;
+        }
+        job.gaps.push({ afterId: previous[previous.length - 1], beforeId: current[0] });
       }
-    });
-    return deepest;
+
+      // An empty view (e.g. mid-render) keeps comparing against the last real one
+      if (current.length) previous = current;
+      step = fullStep();
+      job.sweepProgress = sweepFraction(scrollEl);
+      emitCaptureProgress();
+    }
   }
 
-  function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+  // Overlap misses plus neighbours that were never seen side by side
+  function collectGaps() {
+    const sorted = getSortedMessages();
+    const gaps = findSequenceGaps(sorted);
+    const position = new Map(sorted.map((m, i) => [m.id, i + 1]));
+    job.gaps.forEach(gap => {
+      if (!gaps.some(g => g.afterId === gap.afterId)) gaps.push({ index: position.get(gap.afterId) || 0, ...gap });
+    });
+    return gaps.sort((a, b) => a.index - b.index);
+  }
 
-  // ── Markdown conversion ───────────────────────────────────────────────
-
-  function htmlToMarkdown(html) {
-    // Lightweight conversion without external deps
-    const div = document.createElement('div');
-    div.innerHTML = html;
-
-    function walk(node) {
-      if (node.nodeType === Node.TEXT_NODE) return node.textContent;
-      if (node.nodeType !== Node.ELEMENT_NODE) return '';
-
-      const tag = node.tagName.toLowerCase();
-      const children = Array.from(node.childNodes).map(walk).join('');
-
-      switch (tag) {
-        case 'p': return children + '\n\n';
-        case 'br': return '\n';
-        case 'strong': case 'b': return `**${children}**`;
-        case 'em': case 'i': return `*${children}*`;
-        case 'code': return node.closest('pre') ? children : `\`${children}\``;
-        case 'pre': {
-          const codeEl = node.querySelector('code');
-          const lang = (codeEl?.className || '').match(/language-(\w+)/)?.[1] || '';
-          const code = codeEl ? codeEl.textContent : node.textContent;
-          return `\`\`\`${lang}\n${code}\n\`\`\`\n\n`;
-        }
-        case 'h1': return `# ${children}\n\n`;
-        case 'h2': return `## ${children}\n\n`;
-        case 'h3': return `### ${children}\n\n`;
-        case 'h4': return `#### ${children}\n\n`;
-        case 'ul': return children + '\n';
-        case 'ol': {
-          let i = 0;
-          return Array.from(node.childNodes).map(child => {
-            if (child.nodeType === Node.ELEMENT_NODE && child.tagName === 'LI') {
-              i++;
-              return `${i}. ${walk(child)}\n`;
-            }
-            return walk(child);
-          }).join('') + '\n';
-        }
-        case 'li': return `- ${children}`;
-        case 'a': return `[${children}](${node.href || '#'})`;
-        case 'hr': return '---\n\n';
-        case 'blockquote': return `> ${children.replace(/\n/g, '\n> ')}\n\n`;
-        default: return children;
+  async function runCapture(scrollEl) {
+    await scrollToOldest(scrollEl);
+
+    let gaps = null;
+    if (job.sweep && job.state === 'done') {
+      job.state = 'running';
+      job.phase = 'sweep';
+      emitCaptureProgress();
+      await sweepToNewest(scrollEl);
+      if (job.state === 'running') {
+        job.state = 'done';
+        gaps = collectGaps();
+        await writeCheckpoint(true, { gaps, sweptAt: new Date().toISOString() });
       }
     }
 
-    return walk(div).replace(/\n{3,}/g, '\n\n').trim();
+    // Scroll back to the newest message so the user's context is preserved
+    scrollEl.scrollTop = newestEdge(scrollEl);
+
+    const { state, startCount } = job;
+    job = null;
+    emitCaptureProgress();
+    const found = Object.keys(capturedMessages).length;
+    if (state !== 'done') {
+      showToast(`Capture cancelled at ${found} messages. Run it again to pick up where it stopped.`);
+    } else if (gaps) {
+      showToast(`✅ Swept ${found} messages (${found - startCount} new), ${describeGaps(gaps)}`, gaps.length ? 'error' : 'info');
+    } else {
+      showToast(`✅ Captured ${found} messages (${found - startCount} new)`);
+    }
   }
 
-  // ── Export functions ──────────────────────────────────────────────────
+  function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+  // ── Export ────────────────────────────────────────────────────────────
 
   function getSortedMessages() {
-    return Object.values(capturedMessages).sort((a, b) => a.topPx - b.topPx);
-  }
-
-  function exportMarkdown() {
-    const msgs = getSortedMessages();
-    const lines = [
-      `# Lovable Chat Export`,
-      `> URL: ${location.href}`,
-      `> Exported: ${new Date().toLocaleString()}`,
-      `> Messages: ${msgs.length}`,
-      '',
-      '---',
-      '',
-    ];
+    return sortMessages(capturedMessages);
+  }
 
-    msgs.forEach(msg => {
-      const role = msg.role === 'user' ? '👤 You' : '🤖 Lovable';
-      lines.push(`## ${role} — ${msg.timestampText}`);
-      lines.push('');
-      if (msg.contentHtml) {
-        lines.push(htmlToMarkdown(msg.contentHtml));
-      } else {
-        lines.push(msg.contentText);
-      }
-      lines.push('');
-      lines.push('---');
-      lines.push('');
-    });
+  /**
+   * Asks background.js to build and download a file (see its `export` API).
+   * Whatever this tab has captured is saved first so the file includes it.
+   */
+  async function requestExport(request) {
+    try {
+      await saveMessages(capturedMessages);
+      const result = await callBackground('export', request);
+      if (result.imagesMissing) showToast(describeMissingImages(result.imagesMissing), 'error');
+      return result;
+    } catch (err) {
+      showToast(`Export failed: ${err.message}`, 'error');
+      return null;
+    }
+  }
+
+  // `selection` narrows the export (see selectMessages() in threads.js)
+  function exportCurrentThread(format, selection = DEFAULT_SELECTION) {
+    return requestExport({ kind: 'thread', key: getThreadKey(), format, selection });
+  }
+
+  function exportPromptLibrary(format, selection = DEFAULT_SELECTION) {
+    return requestExport({ kind: 'prompts', key: getThreadKey(), format, selection });
+  }
+
+  // Always the whole thread; the note replaces the one exported last time
+  function exportObsidian() {
+    return requestExport({ kind: 'obsidian', key: getThreadKey() });
+  }
+
+  // Opens the print view in a new tab; it shows the print dialog by itself
+  async function openPrintView(selection = DEFAULT_SELECTION) {
+    try {
+      await saveMessages(capturedMessages);
+      await callBackground('openPrint', { key: getThreadKey(), selection });
+    } catch (err) {
+      showToast(`Print view failed: ${err.message}`, 'error');
+    }
+  }
+
+  async function exportBundle(scope) {
+    const projectId = scope === 'project' ? getProjectId(location.pathname) : null;
+    const result = await requestExport({ kind: 'bundle', projectId });
+    if (result) showToast(`📦 Bundled ${result.count} thread${result.count === 1 ? '' : 's'} into a ZIP`);
+  }
+
+  // ── Range selection ───────────────────────────────────────────────────
+  // The in-page menu keeps its own selection for this page; the popup
+  // sends its selection along with each export request.
+
+  let menuSelection = { ...DEFAULT_SELECTION };
+
+  const CONTROL_STYLE = {
+    width: '100%',
+    padding: '4px 6px',
+    border: '1px solid hsl(220 20% 24%)',
+    borderRadius: '5px',
+    background: 'hsl(220 20% 10%)',
+    color: 'hsl(220 15% 85%)',
+    fontSize: '12px',
+    fontFamily: 'inherit',
+    colorScheme: 'dark',
+  };
+
+  function createControl(tag, props = {}, options = []) {
+    const el = document.createElement(tag);
+    Object.assign(el, props);
+    Object.assign(el.style, CONTROL_STYLE);
+    options.forEach(([value, label]) => el.add(new Option(label, value)));
+    return el;
+  }
 
-    return lines.join('\n');
-  }
-
-  function exportHTML() {
-    const msgs = getSortedMessages();
-    const msgHtml = msgs.map(msg => {
-      const role = msg.role === 'user' ? 'user' : 'ai';
-      const roleLabel = msg.role === 'user' ? '👤 You' : '🤖 Lovable';
-      return `
-      <article class="message ${role}">
-        <header>
-          <span class="role">${roleLabel}</span>
-          <span class="ts">${msg.timestampText}</span>
-        </header>
-        <div class="body">${msg.contentHtml || escapeHtml(msg.contentText)}</div>
-      </article>`;
-    }).join('\n');
-
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Lovable Chat Export — ${new Date().toLocaleDateString()}</title>
-  <style>
-    *, *::before, *::after { box-sizing: border-box; }
-    body { font-family: system-ui, sans-serif; max-width: 800px; margin: 0 auto; padding: 2rem 1rem; background: #0f1117; color: #e2e8f0; line-height: 1.6; }
-    h1 { font-size: 1.5rem; font-weight: 600; margin-bottom: .25rem; }
-    .meta { color: #94a3b8; font-size: .875rem; margin-bottom: 2rem; }
-    .message { margin-bottom: 1.5rem; border-radius: 12px; overflow: hidden; border: 1px solid #1e293b; }
-    .message header { display: flex; gap: .75rem; align-items: center; padding: .6rem 1rem; background: #1e293b; font-size: .8rem; }
-    .role { font-weight: 600; }
-    .ts { color: #64748b; margin-left: auto; }
-    .message.user header { background: #1a2744; }
-    .message.user .role { color: #60a5fa; }
-    .message.ai header { background: #1a2730; }
-    .message.ai .role { color: #34d399; }
-    .body { padding: 1rem; font-size: .95rem; }
-    .body p:first-child { margin-top: 0; }
-    .body p:last-child { margin-bottom: 0; }
-    code { background: #1e293b; padding: .15em .4em; border-radius: 4px; font-size: .85em; }
-    pre { background: #1e293b; padding: 1rem; border-radius: 8px; overflow: auto; }
-    pre code { background: none; padding: 0; }
-  </style>
-</head>
-<body>
-  <h1>💬 Lovable Chat Export</h1>
-  <p class="meta">
-    <strong>URL:</strong> ${escapeHtml(location.href)}<br>
-    <strong>Exported:</strong> ${new Date().toLocaleString()}<br>
-    <strong>Messages:</strong> ${msgs.length}
-  </p>
-  ${msgHtml}
-</body>
-</html>`;
-  }
-
-  function exportJSON() {
-    return JSON.stringify({
-      exportedAt: new Date().toISOString(),
-      url: location.href,
-      messageCount: Object.keys(capturedMessages).length,
-      messages: getSortedMessages(),
-    }, null, 2);
-  }
-
-  function escapeHtml(str) {
-    return (str || '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
-  }
-
-  function downloadBlob(content, filename, mimeType) {
-    const blob = new Blob([content], { type: mimeType });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    setTimeout(() => { URL.revokeObjectURL(url); a.remove(); }, 1000);
-  }
-
-  function slugDate() {
-    return new Date().toISOString().slice(0,10);
+  function createRangeForm() {
+    const sorted = getSortedMessages();
+    const bounds = selectionBounds(sorted);
+
+    const form = document.createElement('div');
+    Object.assign(form.style, { display: 'flex', flexDirection: 'column', gap: '5px', padding: '4px 10px 8px' });
+
+    const mode = createControl('select', { title: 'Range' }, [
+      ['all', 'Whole thread'], ['date', 'Date range'], ['messages', 'Message range'],
+    ]);
+    const dateRow = document.createElement('div');
+    Object.assign(dateRow.style, { display: 'flex', gap: '5px' });
+    const fromDate = createControl('input', { type: 'date', title: 'From date' });
+    const toDate = createControl('input', { type: 'date', title: 'To date' });
+    dateRow.append(fromDate, toDate);
+    const messageOptions = sorted.map((m, i) => [m.id, describeMessage(m, i)]);
+    const fromId = createControl('select', { title: 'First message' }, messageOptions);
+    const toId = createControl('select', { title: 'Last message' }, messageOptions);
+    const role = createControl('select', { title: 'Roles' }, [
+      ['all', 'User prompts and AI replies'], ['user', 'User prompts only'], ['ai', 'AI replies only'],
+    ]);
+    const summary = document.createElement('div');
+    Object.assign(summary.style, { fontSize: '11px', color: 'hsl(220 10% 50%)' });
+
+    mode.value = menuSelection.mode;
+    fromDate.value = menuSelection.fromDate || bounds.fromDate;
+    toDate.value = menuSelection.toDate || bounds.toDate;
+    fromId.value = menuSelection.fromId || bounds.fromId;
+    toId.value = menuSelection.toId || bounds.toId;
+    role.value = menuSelection.role;
+
+    const update = () => {
+      menuSelection = {
+        mode: mode.value,
+        fromDate: fromDate.value,
+        toDate: toDate.value,
+        fromId: fromId.value,
+        toId: toId.value,
+        role: role.value,
+      };
+      dateRow.style.display = mode.value === 'date' ? 'flex' : 'none';
+      fromId.style.display = toId.style.display = mode.value === 'messages' ? 'block' : 'none';
+      const { messages } = selectMessages(sorted, menuSelection);
+      summary.textContent = `${messages.length} of ${sorted.length} messages will be exported`;
+    };
+    [mode, fromDate, toDate, fromId, toId, role].forEach(el => el.addEventListener('change', update));
+    update();
+
+    form.append(mode, dateRow, fromId, toId, role, summary);
+    return form;
   }
 
   // ── Popup menu ────────────────────────────────────────────────────────
@@ -379,7 +917,7 @@
   let menuEl = null;
 
   function toggleMenu(anchorEl) {
-    if (menuEl) { menuEl.remove(); menuEl = null; return; }
+    if (menuEl) { closeMenu(); return; }
 
     const count = Object.keys(capturedMessages).length;
     const rect = anchorEl.getBoundingClientRect();
@@ -415,28 +953,88 @@
     });
     header.textContent = `${count} messages captured`;
     menuEl.appendChild(header);
+    menuEl.appendChild(createRangeForm());
+
+    const captureItems = !job
+      ? [
+          {
+            label: '📜 Capture full history',
+            sub: 'Scroll back to the oldest message',
+            action: () => { closeMenu(); startCapture(); }
+          },
+          {
+            label: '🧹 Sweep and check for gaps',
+            sub: 'Then walk the thread top to bottom',
+            action: () => { closeMenu(); startCapture({ sweep: true }); }
+          },
+        ]
+      : [
+          job.state === 'paused'
+            ? { label: '▶️ Resume capture', sub: describeCaptureStatus(captureStatus()), action: () => { closeMenu(); resumeCapture(); } }
+            : { label: '⏸ Pause capture', sub: describeCaptureStatus(captureStatus()), action: () => { closeMenu(); pauseCapture(); } },
+          {
+            label: '✖ Cancel capture',
+            sub: 'The next run picks up where this one stopped',
+            action: () => { closeMenu(); cancelCapture(); }
+          },
+        ];
 
     const actions = [
+      ...captureItems,
+      { separator: true },
       {
-        label: '📜 Capture full history',
-        sub: 'Auto-scroll to top',
-        action: () => { closeMenu(); autoScrollAndCapture(); }
+        label: '⚡ Quick export',
+        sub: `.${getSettings().defaultFormat} — your default format`,
+        action: () => { closeMenu(); exportCurrentThread(getSettings().defaultFormat, menuSelection); }
       },
-      { separator: true },
       {
         label: '⬇️ Export as Markdown',
-        sub: '.md — for Obsidian / Notion',
-        action: () => { closeMenu(); downloadBlob(exportMarkdown(), `lovable-chat-${slugDate()}.md`, 'text/markdown'); }
+        sub: '.md — for Notion, Git',
+        action: () => { closeMenu(); exportCurrentThread('md', menuSelection); }
       },
       {
         label: '⬇️ Export as HTML',
         sub: '.html — readable offline',
-        action: () => { closeMenu(); downloadBlob(exportHTML(), `lovable-chat-${slugDate()}.html`, 'text/html'); }
+        action: () => { closeMenu(); exportCurrentThread('html', menuSelection); }
       },
       {
         label: '⬇️ Export as JSON',
         sub: '.json — raw data',
-        action: () => { closeMenu(); downloadBlob(exportJSON(), `lovable-chat-${slugDate()}.json`, 'application/json'); }
+        action: () => { closeMenu(); exportCurrentThread('json', menuSelection); }
+      },
+      {
+        label: '🗂 Export to Obsidian',
+        sub: getSettings().obsidianNotes === 'exchange'
+          ? '.zip — a note per prompt, whole thread'
+          : '.md with frontmatter — whole thread',
+        action: () => { closeMenu(); exportObsidian(); }
+      },
+      {
+        label: '🖨 Print / Save as PDF',
+        sub: 'Light layout with a cover page and contents',
+        action: () => { closeMenu(); openPrintView(menuSelection); }
+      },
+      { separator: true },
+      {
+        label: '💡 Prompt library (Markdown)',
+        sub: 'Your prompts with reply excerpts, deduplicated',
+        action: () => { closeMenu(); exportPromptLibrary('md', menuSelection); }
+      },
+      {
+        label: '💡 Prompt library (JSON)',
+        sub: '.json — for scripts and prompt tools',
+        action: () => { closeMenu(); exportPromptLibrary('json', menuSelection); }
+      },
+      { separator: true },
+      {
+        label: '📦 Export project bundle',
+        sub: '.zip — every thread in this project',
+        action: () => { closeMenu(); exportBundle('project'); }
+      },
+      {
+        label: '📦 Export all threads',
+        sub: '.zip — everything in storage',
+        action: () => { closeMenu(); exportBundle('all'); }
       },
     ];
 
@@ -490,9 +1088,9 @@
 
     document.body.appendChild(menuEl);
 
-    // Close on outside click
+    // Close on outside click (clicks inside, e.g. on the range controls, keep it open)
     setTimeout(() => {
-      document.addEventListener('click', handleOutsideClick, { once: true });
+      document.addEventListener('click', handleOutsideClick);
     }, 0);
   }
 
@@ -542,14 +1140,11 @@
     const btn = document.getElementById(BUTTON_ID);
     if (!btn) return;
     const count = Object.keys(capturedMessages).length;
-    btn.textContent = count > 0 ? `Export (${count})` : 'Export';
+    if (job) btn.textContent = `${job.state === 'paused' ? '⏸' : '⏳'} ${describeCaptureStatus(captureStatus())}`;
+    else btn.textContent = count > 0 ? `Export (${count})` : 'Export';
     btn.disabled = false;
   }
 
-  function restoreButton() {
-    updateButtonLabel();
-  }
-
   function createExportButton() {
     const btn = document.createElement('button');
     btn.id = BUTTON_ID;
@@ -598,21 +1193,15 @@
 
   // ── Inject button (same placement logic as Lovable Quick Transfer) ────
 
-  function findNavContainer() {
-    const mainMenu = document.querySelector('#main-menu');
-    if (mainMenu?.parentElement) return mainMenu.parentElement;
-    return document.querySelector('nav div.flex.shrink-0.items-center.gap-2');
-  }
-
   function injectButton() {
     if (document.getElementById(BUTTON_ID)) return;
     if (!isOnChatPage()) return;
 
-    const container = findNavContainer();
+    const container = findField('navContainer');
     if (!container) return;
 
     const btn = createExportButton();
-    const iconsGroup = container.querySelector('.flex.flex-row-reverse');
+    const iconsGroup = findField('navIcons', container);
     if (iconsGroup) {
       iconsGroup.insertBefore(btn, iconsGroup.firstChild);
     } else {
@@ -625,6 +1214,9 @@
   // ── Init ──────────────────────────────────────────────────────────────
 
   async function initialize() {
+    // Preferences (settings.js) stay current on their own after this first read
+    await loadSettings();
+
     // Reload any previously captured messages for this thread
     capturedMessages = await loadMessages();
 
@@ -645,7 +1237,9 @@
       setTimeout(async () => {
         const existing = document.getElementById(BUTTON_ID);
         if (existing) existing.remove();
+        cancelCapture();
         closeMenu();
+        menuSelection = { ...DEFAULT_SELECTION };
         if (isOnChatPage()) {
           capturedMessages = await loadMessages();
           scanVisibleMessages();
@@ -661,7 +1255,9 @@
     setTimeout(async () => {
       const existing = document.getElementById(BUTTON_ID);
       if (existing) existing.remove();
+      cancelCapture();
       closeMenu();
+      menuSelection = { ...DEFAULT_SELECTION };
       if (isOnChatPage()) {
         capturedMessages = await loadMessages();
         scanVisibleMessages();
@@ -689,22 +1285,51 @@
     injectButton();
   }, 1000);
 
+  // ── Storage sync ──────────────────────────────────────────────────────
+  // Imports and the archive page write this thread from other contexts.
+  // Fold their changes into memory so the next flushSave() keeps them.
+
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local') return;
+    const { cleared, messages, trimmed } = await readMessageChanges(getThreadKey(), changes);
+    if (!cleared && !messages.length) return;
+    if (cleared) capturedMessages = {};
+    messages.forEach(msg => {
+      const mine = capturedMessages[msg.id];
+      if (!mine || (msg.updatedAt || '') > (mine.updatedAt || '')) capturedMessages[msg.id] = msg;
+    });
+    // Histories evicted by another page stay gone instead of being saved back
+    trimmed.forEach(id => { delete capturedMessages[id]?.revisions; });
+    updateButtonLabel();
+  });
+
   // ── Message listener (from popup) ────────────────────────────────────
+  // Capture controls only; exports go through background.js (api.js).
 
-  chrome.runtime.onMessage.addListener((msg) => {
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     switch (msg.action) {
       case 'autoScroll':
-        autoScrollAndCapture();
+        startCapture();
+        break;
+      case 'sweep':
+        startCapture({ sweep: true });
+        break;
+      case 'pauseCapture':
+        pauseCapture();
         break;
-      case 'exportMD':
-        downloadBlob(exportMarkdown(), `lovable-chat-${slugDate()}.md`, 'text/markdown');
+      case 'resumeCapture':
+        resumeCapture();
         break;
-      case 'exportHTML':
-        downloadBlob(exportHTML(), `lovable-chat-${slugDate()}.html`, 'text/html');
+      case 'cancelCapture':
+        cancelCapture();
         break;
-      case 'exportJSON':
-        downloadBlob(exportJSON(), `lovable-chat-${slugDate()}.json`, 'application/json');
+      case 'getCaptureStatus':
+        sendResponse(captureStatus());
         break;
+      case 'saveNow':
+        // The popup exports through background.js; make sure storage is current first
+        saveMessages(capturedMessages).then(() => sendResponse(true));
+        return true;
       case 'clearMessages':
         capturedMessages = {};
         updateButtonLabel();
@@ -0,0 +1,223 @@
+// diff.js — compare page: what changed between two versions of a thread
+//
+// Each side is a captured thread or snapshot (through background.js) or a
+// JSON export file. Opening diff.html?before=<source>&after=<source>
+// preselects either side, where a source is a thread key or snapshot:<id>.
+
+const FILE_SOURCE = 'file';
+const LOADED_FILE = 'loaded-file'; // the option standing for the file picked last
+const SNAPSHOT_SOURCE = 'snapshot:';
+const SAME_CONTEXT = 120; // characters kept around each change in long unchanged stretches
+
+const sides = { before: null, after: null }; // { label, path, messages }
+
+function showNotice(message, isError = false) {
+  const notice = document.getElementById('notice');
+  notice.textContent = message;
+  notice.className = isError ? 'notice error' : 'notice';
+  notice.style.display = 'block';
+}
+
+// ── Sources ───────────────────────────────────────────────────────────
+
+// Either list may be missing when background.js couldn't list it
+function fillSourceSelect(select, threads, snapshots) {
+  threads = threads || [];
+  snapshots = snapshots || [];
+  const threadGroup = document.createElement('optgroup');
+  threadGroup.label = 'Captured threads';
+  threadGroup.append(...threads.map(t => new Option(`${t.title || t.path} · ${t.count} messages`, t.key)));
+  const snapshotGroup = document.createElement('optgroup');
+  snapshotGroup.label = 'Snapshots';
+  snapshotGroup.append(...snapshots.map(s => new Option(
+    `${s.title || s.path} · ${describeSnapshot(s)} · ${new Date(s.createdAt).toLocaleString()}`,
+    SNAPSHOT_SOURCE + s.id,
+  )));
+  select.replaceChildren(new Option('Choose…', ''), new Option('JSON export file…', FILE_SOURCE), threadGroup);
+  if (snapshots.length) select.appendChild(snapshotGroup);
+}
+
+async function loadStoredSide(source) {
+  if (source.startsWith(SNAPSHOT_SOURCE)) {
+    const snapshot = await callBackground('getSnapshot', { id: Number(source.slice(SNAPSHOT_SOURCE.length)) });
+    const taken = new Date(snapshot.createdAt).toLocaleString();
+    return { label: `${describeSnapshot(snapshot)} of ${snapshot.path}, ${taken}`, path: snapshot.path, messages: snapshot.messages };
+  }
+  const thread = await callBackground('getThread', { key: source });
+  return { label: `Captured ${thread.path}`, path: thread.path, messages: thread.messages };
+}
+
+async function loadFileSide(file) {
+  const data = parseExportFile(await file.text(), file.name);
+  const skipped = data.invalid ? ` (${data.invalid} unreadable entries skipped)` : '';
+  return { label: `${file.name} · ${data.path}${skipped}`, path: data.path, messages: data.messages };
+}
+
+async function setSide(name, load) {
+  const info = document.getElementById(`${name}-info`);
+  sides[name] = null;
+  info.textContent = 'Loading…';
+  try {
+    const side = await load();
+    // Everything would show as added or removed; that's not a comparison
+    if (!side.messages.length) throw new Error(`${side.label} has no messages to compare.`);
+    sides[name] = side;
+    info.textContent = `${side.label} · ${side.messages.length} messages`;
+  } catch (err) {
+    info.textContent = '';
+    showNotice(err.message, true);
+  }
+  renderResult();
+}
+
+// Shows the picked file as the selected option, so "JSON export file…"
+// stays unselected and picking it again fires `change`
+function selectLoadedFile(select, file) {
+  let option = [...select.options].find(o => o.value === LOADED_FILE);
+  if (!option) {
+    option = new Option('', LOADED_FILE);
+    select.options[1].after(option);
+  }
+  option.textContent = `📄 ${file.name}`;
+  select.value = LOADED_FILE;
+}
+
+function wireSide(name) {
+  const select = document.getElementById(`${name}-source`);
+  const fileInput = document.getElementById(`${name}-file`);
+  let current = select.value;
+  select.addEventListener('change', () => {
+    document.getElementById('notice').style.display = 'none';
+    if (select.value === FILE_SOURCE) {
+      // Back to what's loaded until a file is actually picked
+      select.value = current;
+      fileInput.click();
+      return;
+    }
+    current = select.value;
+    if (select.value && select.value !== LOADED_FILE) setSide(name, () => loadStoredSide(select.value));
+  });
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    if (!file) return;
+    selectLoadedFile(select, file);
+    current = select.value;
+    await setSide(name, () => loadFileSide(file));
+    // Lets the same file be picked again, e.g. after editing it
+    fileInput.value = '';
+  });
+}
+
+// ── Render ────────────────────────────────────────────────────────────
+
+// Long unchanged stretches keep only the text next to the changes around them
+function renderDiff(ops) {
+  const el = document.createElement('div');
+  el.className = 'text';
+  ops.forEach((part, i) => {
+    if (part.op !== 'same') {
+      const tag = document.createElement(part.op === 'add' ? 'ins' : 'del');
+      tag.textContent = part.text;
+      el.appendChild(tag);
+      return;
+    }
+    const keepStart = i > 0 ? SAME_CONTEXT : 0;
+    const keepEnd = i < ops.length - 1 ? SAME_CONTEXT : 0;
+    if (part.text.length <= keepStart + keepEnd + 40) {
+      el.append(part.text);
+      return;
+    }
+    const skipped = document.createElement('span');
+    skipped.className = 'skipped';
+    skipped.textContent = ` … ${part.text.length - keepStart - keepEnd} unchanged characters … `;
+    el.append(part.text.slice(0, keepStart), skipped, part.text.slice(part.text.length - keepEnd));
+  });
+  return el;
+}
+
+function createMessageCard(m, kind, body) {
+  const card = document.createElement('div');
+  card.className = `message ${kind}`;
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const role = document.createElement('span');
+  role.className = 'role';
+  role.textContent = m.role === 'user' ? 'You' : 'AI';
+  meta.append(role, ...[m.timestampText, m.id].filter(Boolean).map(part => ` · ${part}`));
+  card.append(meta, body);
+  return card;
+}
+
+function plainText(m) {
+  const el = document.createElement('div');
+  el.className = 'text';
+  el.textContent = m.contentText || '';
+  return el;
+}
+
+function createSection(title, cards) {
+  if (!cards.length) return [];
+  const heading = document.createElement('h2');
+  heading.textContent = `${title} (${cards.length})`;
+  return [heading, ...cards];
+}
+
+function renderResult() {
+  const result = document.getElementById('result');
+  const summary = document.getElementById('summary');
+  if (!sides.before || !sides.after) {
+    result.replaceChildren();
+    summary.textContent = 'Pick two versions of a thread: a captured one, a snapshot or a JSON export';
+    return;
+  }
+
+  const diff = diffThreads(sides.before.messages, sides.after.messages);
+  summary.textContent = describeThreadDiff(diff);
+  document.getElementById('notice').style.display = 'none';
+  if (sides.before.path !== sides.after.path) {
+    showNotice(`These are different threads (${sides.before.path} and ${sides.after.path}), so few messages will match.`);
+  }
+
+  const empty = document.createElement('div');
+  empty.className = 'empty';
+  empty.textContent = 'Both versions have the same messages with the same text.';
+  const sections = [
+    ...createSection('Changed', diff.changed.map(c => createMessageCard(c.after, 'changed', renderDiff(c.diff)))),
+    ...createSection('Added', diff.added.map(m => createMessageCard(m, 'added', plainText(m)))),
+    ...createSection('Removed', diff.removed.map(m => createMessageCard(m, 'removed', plainText(m)))),
+  ];
+  result.replaceChildren(...(sections.length ? sections : [empty]));
+}
+
+// ── Init ──────────────────────────────────────────────────────────────
+
+async function init() {
+  let threads = [];
+  let snapshots = [];
+  try {
+    [threads, snapshots] = await Promise.all([callBackground('listThreads'), callBackground('listSnapshots', {})]);
+  } catch (err) {
+    showNotice(`Couldn't load captured threads: ${err.message}`, true);
+  }
+  const params = new URLSearchParams(location.search);
+  ['before', 'after'].forEach(name => {
+    const select = document.getElementById(`${name}-source`);
+    fillSourceSelect(select, threads, snapshots);
+
+    const preselect = params.get(name);
+    if (preselect && [...select.options].some(o => o.value === preselect && preselect !== FILE_SOURCE)) {
+      select.value = preselect;
+      setSide(name, () => loadStoredSide(preselect));
+    }
+    wireSide(name);
+  });
+
+  // Opened from the archive for a thread that has nothing to compare with yet
+  const before = params.get('before');
+  if (before && !params.get('after') && !before.startsWith(SNAPSHOT_SOURCE)
+      && !snapshots?.some(s => s.threadKey === before)) {
+    showNotice('This thread has no snapshots yet. Choose a JSON export file, or another capture, to compare it with.');
+  }
+}
+
+init();
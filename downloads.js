@@ -0,0 +1,92 @@
+// downloads.js — file names for every export
+//
+// File names come from the filenamePattern / downloadSubfolder settings.
+// Tokens use single braces so they can't be confused with template
+// placeholders:
+//
+//   {project} project id from the URL     {title}  project title from the page
+//   {date}    YYYY-MM-DD                  {time}   HH-MM-SS
+//   {range}   first-last message number   {count}  number of messages
+//   {format}  md, html, json or zip
+//
+// The returned path goes to chrome.downloads in background.js.
+
+const WINDOWS_RESERVED_NAME = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+const MAX_FILENAME_LENGTH = 120;
+
+function slugDate(date = new Date()) {
+  return localDateString(date);
+}
+
+function slugTime(date = new Date()) {
+  return date.toTimeString().slice(0, 8).replace(/:/g, '-');
+}
+
+// Lovable's document title is "<project> - Lovable"; drop the suffix
+function projectTitle(title) {
+  return (title || '').replace(/\s*[-|–—]\s*Lovable\s*$/i, '').trim();
+}
+
+// ── Names ─────────────────────────────────────────────────────────────
+
+/**
+ * Token values for one export. `thread.range` ({ from, to }, 1-based) is
+ * set by selective exports; otherwise the whole thread is assumed.
+ */
+function filenameTokens(thread, format) {
+  const now = new Date();
+  let path = '';
+  try { path = new URL(thread.url).pathname; } catch { /* archive threads may lack a URL */ }
+  const count = thread.messages?.length || 0;
+  const range = thread.range || { from: count ? 1 : 0, to: count };
+  const project = getProjectId(path) || '';
+  return {
+    project,
+    title: projectTitle(thread.title) || project,
+    date: slugDate(now),
+    time: slugTime(now),
+    range: `${range.from}-${range.to}`,
+    count,
+    format,
+  };
+}
+
+// Unknown tokens are left as-is, like templates.js does for placeholders
+function renderFilenamePattern(pattern, tokens) {
+  return pattern.replace(/\{(\w+)\}/g, (match, name) => (name in tokens ? String(tokens[name]) : match));
+}
+
+/**
+ * Makes one path segment safe on Windows, macOS and Linux: strips reserved
+ * characters, collapses the separators left behind by empty tokens, drops
+ * spaces next to a separator ("My -Proj" → "My-Proj") and trims
+ * leading/trailing dots and spaces.
+ */
+function sanitizeFilename(name) {
+  let clean = name
+    .replace(/[\\/:*?"<>|\u0000-\u001f\u007f]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/ ?([-_]) ?/g, '$1')
+    .replace(/([-_ ])\1+/g, '$1')
+    .replace(/^[\s.-]+|[\s.-]+$/g, '')
+    .slice(0, MAX_FILENAME_LENGTH)
+    .replace(/[\s.-]+$/, '');
+  if (WINDOWS_RESERVED_NAME.test(clean)) clean = `_${clean}`;
+  return clean;
+}
+
+// Each folder segment is sanitized on its own; "." and ".." disappear
+function sanitizeSubfolder(folder) {
+  return folder.split(/[\\/]+/).map(sanitizeFilename).filter(Boolean).join('/');
+}
+
+/**
+ * Returns the path handed to chrome.downloads, relative to the Downloads
+ * folder: "<subfolder>/<name>.<ext>".
+ */
+function downloadPath(pattern, tokens, ext) {
+  const { downloadSubfolder } = getSettings();
+  const name = sanitizeFilename(renderFilenamePattern(pattern, tokens)) || 'lovable-chat';
+  const folder = sanitizeSubfolder(renderFilenamePattern(downloadSubfolder, tokens));
+  return folder ? `${folder}/${name}.${ext}` : `${name}.${ext}`;
+}
@@ -0,0 +1,736 @@
+// exporters.js — Markdown / HTML / JSON / Obsidian generators and the print view, run in the offscreen document
+//
+// Every generator takes a thread { url, title?, messages, images? } with
+// messages already sorted; Obsidian notes also need its `path` or `key`.
+// htmlToMarkdown() comes from markdown.js, layouts from templates.js, file
+// names from downloads.js and attachment helpers from attachments.js.
+// Nothing here touches storage or starts downloads; background.js does both.
+
+// ── Thoughts & tool calls ────────────────────────────────────────────
+// AI messages may carry `thoughts` ({ label, text }) and `tools`
+// ({ name, target, summary }); both render as collapsed sections.
+
+function hasDetails(msg) {
+  return (msg.thoughts || []).length > 0 || (msg.tools || []).length > 0 || !!msg.toolSummary;
+}
+
+function toolsLabel(msg) {
+  return msg.toolSummary || `${msg.tools.length} tools used`;
+}
+
+// Captured text as Markdown text: no line can start a block, close the
+// <details> around it or open raw HTML
+function markdownLines(text) {
+  return text.split('\n').map(line => escapeMarkdownText(line, { atLineStart: true })).join('\n');
+}
+
+function markdownCode(text) {
+  const fence = codeFence(text, 1);
+  const pad = /^`|`$/.test(text) ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+function detailsToMarkdown(msg) {
+  const blocks = [];
+  (msg.thoughts || []).forEach(thought => {
+    const text = thought.text ? markdownLines(thought.text) : '_Not captured_';
+    blocks.push(`<details>\n<summary>💭 ${escapeHtml(thought.label)}</summary>\n\n${text}\n\n</details>`);
+  });
+  if ((msg.tools || []).length || msg.toolSummary) {
+    const rows = (msg.tools || []).map(tool => {
+      const target = tool.target ? ` ${markdownCode(tool.target.replace(/\n/g, ' '))}` : '';
+      const summary = tool.summary ? ` — ${escapeMarkdownText(tool.summary.replace(/\n/g, ' '))}` : '';
+      return `- **${escapeMarkdownText(tool.name || '')}**${target}${summary}`;
+    });
+    blocks.push(`<details>\n<summary>🛠 ${escapeHtml(toolsLabel(msg))}</summary>\n\n${rows.join('\n') || '_Not captured_'}\n\n</details>`);
+  }
+  return blocks.join('\n\n');
+}
+
+function detailsToHtml(msg) {
+  const blocks = [];
+  (msg.thoughts || []).forEach(thought => {
+    blocks.push(`<details class="details"><summary>💭 ${escapeHtml(thought.label)}</summary><div class="thought">${escapeHtml(thought.text) || '<em>Not captured</em>'}</div></details>`);
+  });
+  if ((msg.tools || []).length || msg.toolSummary) {
+    const rows = (msg.tools || []).map(tool =>
+      `<li><strong>${escapeHtml(tool.name)}</strong>${tool.target ? ` <code>${escapeHtml(tool.target)}</code>` : ''}${tool.summary ? ` — ${escapeHtml(tool.summary)}` : ''}</li>`);
+    blocks.push(`<details class="details"><summary>🛠 ${escapeHtml(toolsLabel(msg))}</summary>${rows.length ? `<ul>${rows.join('')}</ul>` : '<p><em>Not captured</em></p>'}</details>`);
+  }
+  return blocks.join('\n');
+}
+
+// ── Images & attachments ──────────────────────────────────────────────
+// Messages may carry `attachments` (see attachments.js). When the settings
+// ask for it, background.js also sends `thread.images`, mapping image URLs
+// to fetched { type, data }: HTML exports inline them as data: URIs and
+// Markdown exports bundle them under images/ in a ZIP (see buildExport()).
+
+// Calls `replace(absoluteUrl)` for every <img>; a non-null result becomes its src
+function rewriteImageSources(html, baseUrl, replace) {
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  doc.querySelectorAll('img[src]').forEach(img => {
+    const src = replace(resolveSource(img.getAttribute('src'), baseUrl));
+    if (src) img.setAttribute('src', src);
+  });
+  return doc.body.innerHTML;
+}
+
+function imageDataUri(thread, source) {
+  const image = thread.images?.[source];
+  return image ? `data:${image.type};base64,${image.data}` : null;
+}
+
+// images/image-01.png, … in the order the images were fetched
+function bundledImagePaths(thread) {
+  return new Map(Object.entries(thread.images || {}).map(([source, image], i) =>
+    [source, `images/image-${String(i + 1).padStart(2, '0')}.${extensionForType(image.type)}`]));
+}
+
+// Attachments that aren't already shown inside the message text
+function listedAttachments(msg) {
+  return (msg.attachments || []).filter(a => !a.inContent);
+}
+
+// `localSrc(source)` gives the embedded or bundled copy of an image, or null
+function attachmentsToMarkdown(msg, localSrc) {
+  const items = listedAttachments(msg).map(a => {
+    const src = a.source && (localSrc(a.source) || a.source);
+    const name = escapeMarkdownText(a.name);
+    if (!src || !isSafeUrl(src, { allowImageData: true })) return `- 📎 ${name}`;
+    return isImageType(a.type) ? `- ![${name}](${markdownUrl(src)})` : `- 📎 [${name}](${markdownUrl(src)})`;
+  });
+  return items.length ? `**Attachments**\n\n${items.join('\n')}` : '';
+}
+
+function attachmentsToHtml(msg, localSrc) {
+  const items = listedAttachments(msg).map(a => {
+    const src = a.source && (localSrc(a.source) || a.source);
+    const name = escapeHtml(a.name);
+    if (!src || !isSafeUrl(src, { allowImageData: true })) return `<li>📎 ${name}</li>`;
+    return isImageType(a.type)
+      ? `<li><img src="${escapeHtml(src)}" alt="${name}"></li>`
+      : `<li>📎 <a href="${escapeHtml(src)}" rel="noopener noreferrer">${name}</a></li>`;
+  });
+  return items.length ? `<div class="attachments"><strong>Attachments</strong><ul>${items.join('')}</ul></div>` : '';
+}
+
+// ── Export functions ──────────────────────────────────────────────────
+
+// Values shared by every template in one export (see templates.js)
+function threadTemplateValues(thread) {
+  const templates = getTemplates();
+  const now = new Date();
+  let path = '';
+  try { path = new URL(thread.url).pathname; } catch { /* archive threads may lack a URL */ }
+  const { timeZone } = getSettings();
+  return {
+    title: thread.title || '',
+    url: thread.url,
+    projectId: getProjectId(path) || '',
+    exportedAt: formatTimestamp(now.toISOString(), timeZone),
+    exportedDate: now.toLocaleDateString(undefined, { timeZone: timeZone || undefined }),
+    messageCount: thread.messages.length,
+    userLabel: templates.userLabel,
+    aiLabel: templates.aiLabel,
+  };
+}
+
+// The message's time in the chosen time zone, or its captured text when it couldn't be parsed
+function displayTimestamp(msg) {
+  const iso = messageTimestamp(msg);
+  return iso ? formatTimestamp(iso, getSettings().timeZone) : msg.timestampText || '';
+}
+
+function messageTemplateValues(msg, index, threadValues) {
+  return {
+    ...threadValues,
+    id: msg.id,
+    role: msg.role === 'user' ? 'user' : 'ai',
+    roleLabel: msg.role === 'user' ? threadValues.userLabel : threadValues.aiLabel,
+    timestamp: displayTimestamp(msg),
+    index: index + 1,
+  };
+}
+
+// The mdMessage template for each of `messages`, a slice of thread.messages
+// starting at position `offset`
+function markdownMessages(thread, messages, values, offset = 0) {
+  const templates = getTemplates();
+  const paths = bundledImagePaths(thread);
+  const localSrc = source => paths.get(source) || null;
+
+  return messages.map((msg, i) => {
+    const html = msg.contentHtml && paths.size ? rewriteImageSources(msg.contentHtml, thread.url, localSrc) : msg.contentHtml;
+    const body = html ? htmlToMarkdown(html) : msg.contentText;
+    return renderTemplate(templates.mdMessage, {
+      ...messageTemplateValues(msg, offset + i, values),
+      details: hasDetails(msg) ? `${detailsToMarkdown(msg)}\n\n` : '',
+      content: [body, attachmentsToMarkdown(msg, localSrc)].filter(Boolean).join('\n\n'),
+    });
+  });
+}
+
+function exportMarkdown(thread) {
+  const values = threadTemplateValues(thread);
+  return [renderTemplate(getTemplates().mdHeader, values), ...markdownMessages(thread, thread.messages, values)].join('\n');
+}
+
+// Sanitized message markup with embedded images (when fetched) and its attachment list
+function messageBodyHtml(thread, msg) {
+  const localSrc = source => imageDataUri(thread, source);
+  let body = msg.contentHtml ? sanitizeHtml(msg.contentHtml) : escapeHtml(msg.contentText);
+  if (msg.contentHtml && thread.images) body = rewriteImageSources(body, thread.url, localSrc);
+  return body + attachmentsToHtml(msg, localSrc);
+}
+
+function exportHTML(thread) {
+  const templates = getTemplates();
+  const values = threadTemplateValues(thread);
+  const html = { html: true };
+
+  const msgHtml = thread.messages.map((msg, i) => renderTemplate(templates.htmlMessage, {
+    ...messageTemplateValues(msg, i, values),
+    details: hasDetails(msg) ? detailsToHtml(msg) : '',
+    content: messageBodyHtml(thread, msg),
+  }, html)).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${renderTemplate(templates.htmlTitle, values, html)}</title>
+  <style>
+    ${templates.htmlStylesheet.replace(/<\/style/gi, '<\\/style')}
+  </style>
+</head>
+<body>
+  ${renderTemplate(templates.htmlHeader, values, html)}
+  ${msgHtml}
+</body>
+</html>`;
+}
+
+function exportJSON(thread) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    url: thread.url,
+    messageCount: thread.messages.length,
+    // Older captures only have timestampText; parse theirs on the way out
+    messages: thread.messages.map(m => ({ ...m, timestamp: messageTimestamp(m) })),
+  }, null, 2);
+}
+
+function escapeHtml(str) {
+  return (str || '')
+    .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+    .replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+}
+
+// ── Prompt library ────────────────────────────────────────────────────
+// Just the user prompts, numbered, each with an excerpt of the AI reply
+// that followed. Near-identical prompts (re-sends, small typo fixes) are
+// folded into their first occurrence.
+
+const PROMPT_SIMILARITY = 0.9;   // word-bigram Dice coefficient treated as "the same prompt"
+const REPLY_EXCERPT_LENGTH = 280;
+
+function messageText(msg) {
+  return (msg.contentHtml ? htmlToMarkdown(msg.contentHtml) : msg.contentText || '').trim();
+}
+
+function excerpt(text, max) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= max) return flat;
+  const cut = flat.slice(0, max);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > max * 0.6 ? cut.lastIndexOf(' ') : max)}…`;
+}
+
+function promptWords(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+}
+
+function wordBigrams(words) {
+  if (words.length < 2) return new Set(words);
+  const set = new Set();
+  for (let i = 0; i < words.length - 1; i++) set.add(`${words[i]} ${words[i + 1]}`);
+  return set;
+}
+
+function promptSimilarity(a, b) {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  a.forEach(gram => { if (b.has(gram)) shared++; });
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Pairs every user message with the first AI reply after it (before the
+ * next prompt) and drops near-duplicates. Returns { prompts, duplicates }
+ * where each prompt is { id, timestamp, timestampText, text, occurrences,
+ * replyId, replyExcerpt } and `timestamp` is ISO-8601 (or null).
+ */
+function buildPromptLibrary(messages) {
+  const prompts = [];
+  let duplicates = 0;
+
+  messages.forEach((msg, i) => {
+    if (msg.role !== 'user') return;
+    const text = messageText(msg);
+    if (!text) return;
+
+    const words = promptWords(text);
+    const key = words.join(' ');
+    const grams = wordBigrams(words);
+    const same = prompts.find(p => p.key === key || promptSimilarity(p.grams, grams) >= PROMPT_SIMILARITY);
+    if (same) {
+      same.occurrences++;
+      duplicates++;
+      return;
+    }
+
+    let reply = null;
+    for (let j = i + 1; j < messages.length && messages[j].role !== 'user'; j++) {
+      if (messageText(messages[j])) { reply = messages[j]; break; }
+    }
+    prompts.push({
+      id: msg.id,
+      timestamp: messageTimestamp(msg),
+      timestampText: msg.timestampText || '',
+      text,
+      occurrences: 1,
+      replyId: reply?.id || null,
+      replyExcerpt: reply ? excerpt(reply.contentText || messageText(reply), REPLY_EXCERPT_LENGTH) : '',
+      key,
+      grams,
+    });
+  });
+
+  return { prompts: prompts.map(({ key, grams, ...prompt }) => prompt), duplicates };
+}
+
+function promptHeading(text) {
+  return excerpt(text.split('\n')[0], 70).replace(/[#*_`[\]<]/g, '\\$&');
+}
+
+function exportPromptsMarkdown(thread) {
+  const { prompts, duplicates } = buildPromptLibrary(thread.messages);
+  const header = `# Prompt Library
+> URL: ${thread.url}
+> Exported: ${formatTimestamp(new Date().toISOString(), getSettings().timeZone)}
+> Prompts: ${prompts.length}${duplicates ? ` (${duplicates} near-duplicate${duplicates === 1 ? '' : 's'} removed)` : ''}
+
+---
+`;
+  const entries = prompts.map((p, i) => {
+    const fence = codeFence(p.text, 3);
+    const when = p.timestamp ? formatTimestamp(p.timestamp, getSettings().timeZone) : p.timestampText;
+    const meta = [when, p.occurrences > 1 ? `sent ${p.occurrences}×` : ''].filter(Boolean).join(' · ');
+    const reply = p.replyExcerpt ? `\n**Reply:**\n\n> ${p.replyExcerpt}\n` : '';
+    return `## ${i + 1}. ${promptHeading(p.text)}
+${meta ? `\n_${meta}_\n` : ''}
+${fence}text
+${p.text}
+${fence}
+${reply}
+---
+`;
+  });
+  return [header, ...entries].join('\n');
+}
+
+function exportPromptsJSON(thread) {
+  const { prompts, duplicates } = buildPromptLibrary(thread.messages);
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    url: thread.url,
+    type: 'prompt-library',
+    promptCount: prompts.length,
+    duplicatesRemoved: duplicates,
+    prompts: prompts.map((p, i) => ({ number: i + 1, ...p })),
+  }, null, 2);
+}
+
+// ── Obsidian ──────────────────────────────────────────────────────────
+// Notes for an Obsidian vault: YAML frontmatter, then the messages in the
+// mdMessage template. Either one note per thread, or (obsidianNotes
+// 'exchange') a ZIP with a note per prompt and its replies, linked to the
+// previous and next exchange, plus an index note. File names come from the
+// thread's path and message ids, never the date, so exporting again
+// replaces the same notes; background.js downloads these with
+// conflictAction 'overwrite'.
+
+// JSON strings are valid double-quoted YAML scalars
+function yamlValue(value) {
+  return typeof value === 'number' ? String(value) : JSON.stringify(String(value));
+}
+
+// Empty fields are left out; arrays become block lists
+function frontmatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => (Array.isArray(value)
+      ? `${key}:${value.map(item => `\n  - ${yamlValue(item)}`).join('') || ' []'}`
+      : `${key}: ${yamlValue(value)}`));
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+// Wiki-link targets and aliases can't contain | [ ] # ^
+function wikiLink(note, label) {
+  const alias = (label || '').replace(/[|[\]#^]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return alias ? `[[${note}|${alias}]]` : `[[${note}]]`;
+}
+
+function obsidianNoteName(thread) {
+  return `lovable-${threadSlug(thread)}`;
+}
+
+function exchangeNoteName(base, exchange) {
+  return `${base}-${exchange.messages[0].id.replace(/[^a-zA-Z0-9_-]+/g, '-')}`;
+}
+
+// Each user prompt starts an exchange; replies before the first prompt get their own
+function threadExchanges(messages) {
+  const exchanges = [];
+  messages.forEach((msg, i) => {
+    if (msg.role === 'user' || !exchanges.length) exchanges.push({ offset: i, messages: [] });
+    exchanges[exchanges.length - 1].messages.push(msg);
+  });
+  return exchanges.map(exchange => {
+    const prompt = exchange.messages.find(m => m.role === 'user');
+    const text = prompt ? messageText(prompt) : '';
+    return { ...exchange, heading: text ? excerpt(text.split('\n')[0], 70) : 'Before the first prompt' };
+  });
+}
+
+// Message times and capture times of `messages`, earliest and latest
+function obsidianDates(messages) {
+  const times = messages.map(messageTimestamp).filter(Boolean).sort();
+  const captured = messages.map(m => m.capturedAt).filter(Boolean).sort();
+  const updated = messages.map(m => m.updatedAt || m.capturedAt).filter(Boolean).sort();
+  return {
+    first_message: times[0],
+    last_message: times[times.length - 1],
+    first_captured: captured[0],
+    last_captured: updated[updated.length - 1],
+  };
+}
+
+function obsidianThreadFields(thread, values) {
+  const title = projectTitle(thread.title) || values.projectId || thread.path || '';
+  return {
+    title,
+    aliases: [title],
+    project: values.projectId,
+    url: thread.url,
+    ...obsidianDates(thread.messages),
+    messages: thread.messages.length,
+    tags: obsidianTagList(getSettings().obsidianTags),
+  };
+}
+
+function obsidianThreadNote(thread) {
+  const values = threadTemplateValues(thread);
+  const fields = obsidianThreadFields(thread, values);
+  return [frontmatter(fields), `# ${fields.title}\n`, ...markdownMessages(thread, thread.messages, values)].join('\n');
+}
+
+/** The notes of an 'exchange' export: [{ name, content }], index note first. */
+function obsidianExchangeNotes(thread) {
+  const values = threadTemplateValues(thread);
+  const threadFields = obsidianThreadFields(thread, values);
+  const base = obsidianNoteName(thread);
+  const exchanges = threadExchanges(thread.messages);
+  const names = exchanges.map(exchange => exchangeNoteName(base, exchange));
+
+  const notes = exchanges.map((exchange, i) => {
+    const title = `${threadFields.title} #${i + 1}: ${exchange.heading}`;
+    const nav = [
+      i > 0 ? `← ${wikiLink(names[i - 1], exchanges[i - 1].heading)}` : '',
+      `↑ ${wikiLink(base, threadFields.title)}`,
+      i < exchanges.length - 1 ? `${wikiLink(names[i + 1], exchanges[i + 1].heading)} →` : '',
+    ].filter(Boolean).join(' · ');
+    const fields = {
+      title,
+      aliases: [title],
+      project: threadFields.project,
+      url: thread.url,
+      thread: wikiLink(base, threadFields.title),
+      exchange: i + 1,
+      previous: i > 0 ? wikiLink(names[i - 1]) : null,
+      next: i < exchanges.length - 1 ? wikiLink(names[i + 1]) : null,
+      ...obsidianDates(exchange.messages),
+      messages: exchange.messages.length,
+      tags: threadFields.tags,
+    };
+    const body = markdownMessages(thread, exchange.messages, values, exchange.offset);
+    return { name: names[i], content: [frontmatter(fields), `# ${promptHeading(exchange.heading)}\n`, `${nav}\n`, ...body, nav, ''].join('\n') };
+  });
+
+  const list = exchanges.map((exchange, i) => {
+    const when = displayTimestamp(exchange.messages[0]);
+    return `${i + 1}. ${wikiLink(names[i], exchange.heading)}${when ? ` — ${when}` : ''}`;
+  });
+  const index = [frontmatter({ ...threadFields, exchanges: exchanges.length }), `# ${threadFields.title}\n`, ...list, ''].join('\n');
+  return [{ name: base, content: index }, ...notes];
+}
+
+/**
+ * Builds an Obsidian export of the whole thread: one .md note, or a ZIP
+ * holding a folder of exchange notes. Returns { content, filename, mimeType }.
+ */
+function buildObsidianExport(thread) {
+  const base = obsidianNoteName(thread);
+  const tokens = filenameTokens(thread, 'md');
+  if (getSettings().obsidianNotes === 'exchange') {
+    const files = obsidianExchangeNotes(thread).map(note => ({ name: `${base}/${note.name}.md`, content: note.content }));
+    return { content: createZip(files), filename: downloadPath(base, tokens, 'zip'), mimeType: 'application/zip' };
+  }
+  return { content: obsidianThreadNote(thread), filename: downloadPath(base, tokens, 'md'), mimeType: 'text/markdown' };
+}
+
+// ── Print view ────────────────────────────────────────────────────────
+// A light, paginated document for print.html: a cover page, a table of
+// contents built from the user prompts, then every message as a one-cell
+// table whose header (role, time, number) Chrome repeats on each page the
+// message runs onto. It has its own stylesheet rather than the HTML
+// template's, so printing to PDF needs no changes in the print dialog.
+
+const PRINT_STYLESHEET = `
+  @page { margin: 18mm 16mm 20mm; }
+  @page { @bottom-center { content: counter(page) " / " counter(pages); font: 9pt system-ui, sans-serif; color: #64748b; } }
+  @page :first { @bottom-center { content: none; } }
+  * { box-sizing: border-box; }
+  html { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body { margin: 0; font: 10.5pt/1.55 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1e293b; background: #fff; }
+  a { color: #1d4ed8; }
+  .cover, .toc { break-after: page; }
+  .cover { min-height: 240mm; display: flex; flex-direction: column; justify-content: center; }
+  .cover .kicker { font-size: 10pt; letter-spacing: .08em; text-transform: uppercase; color: #64748b; }
+  .cover h1 { font-size: 28pt; line-height: 1.2; margin: 8pt 0 24pt; }
+  .cover dl { display: grid; grid-template-columns: max-content 1fr; gap: 6pt 16pt; margin: 0; }
+  .cover dt { color: #64748b; }
+  .cover dd { margin: 0; overflow-wrap: anywhere; }
+  .toc h2 { font-size: 16pt; margin: 0 0 12pt; }
+  .toc ol { margin: 0; padding-left: 22pt; }
+  .toc li { margin: 0 0 5pt; break-inside: avoid; }
+  .toc a { color: inherit; text-decoration: none; }
+  .toc .time { color: #64748b; font-size: 9pt; margin-left: 6pt; white-space: nowrap; }
+  .message { width: 100%; border-collapse: collapse; margin: 0 0 14pt; }
+  .message th { text-align: left; font-weight: 600; font-size: 9pt; padding: 5pt 8pt; border-bottom: 1.5pt solid #cbd5e1; background: #f1f5f9; }
+  .message.user th { background: #eff6ff; border-color: #93c5fd; }
+  .message th .time, .message th .number { font-weight: 400; color: #64748b; }
+  .message th .number { float: right; }
+  .message td { padding: 8pt 8pt 0; vertical-align: top; }
+  .message td > :first-child { margin-top: 0; }
+  .message td.plain { white-space: pre-wrap; padding-bottom: 8pt; }
+  h1, h2, h3, h4, h5, h6 { break-after: avoid; }
+  p, li { orphans: 3; widows: 3; }
+  pre { white-space: pre-wrap; overflow-wrap: anywhere; break-inside: avoid; background: #f8fafc; border: .75pt solid #e2e8f0; border-radius: 4pt; padding: 7pt 9pt; font-size: 8.5pt; line-height: 1.45; }
+  code { font-family: 'SF Mono', Consolas, 'Liberation Mono', monospace; font-size: .9em; }
+  :not(pre) > code { background: #f1f5f9; padding: 0 3pt; border-radius: 3pt; }
+  img { max-width: 100%; height: auto; break-inside: avoid; }
+  table:not(.message) { border-collapse: collapse; break-inside: avoid; }
+  table:not(.message) th, table:not(.message) td { border: .75pt solid #cbd5e1; padding: 3pt 6pt; }
+  blockquote { margin: 0 0 8pt; padding-left: 10pt; border-left: 2pt solid #cbd5e1; color: #475569; }
+  details { margin: 0 0 8pt; padding: 5pt 8pt; border: .75pt solid #e2e8f0; border-radius: 4pt; font-size: 9pt; color: #475569; break-inside: avoid; }
+  details summary { font-weight: 600; }
+  .thought { white-space: pre-wrap; }
+  .attachments ul { list-style: none; padding: 0; }
+  .attachments li { margin: 0 0 6pt; }
+  @media screen {
+    body { background: #e2e8f0; padding: 24px 0; }
+    .cover, .toc, main { max-width: 820px; margin: 0 auto 24px; padding: 48px 56px; background: #fff; box-shadow: 0 1px 4px rgb(0 0 0 / 15%); }
+    .cover { min-height: 0; }
+  }
+`;
+
+// The first line of a prompt, for the table of contents
+function promptTitle(msg) {
+  const line = (msg.contentText || '').split('\n').map(l => l.trim()).find(Boolean) || '';
+  return excerpt(line, 90) || 'Untitled prompt';
+}
+
+/**
+ * The print view's HTML. Its <title> is the export file name, which
+ * Chrome suggests as the PDF's name.
+ */
+function exportPrintHTML(thread) {
+  const values = threadTemplateValues(thread);
+  const title = projectTitle(thread.title) || values.projectId || 'Lovable chat';
+  const fileTitle = sanitizeFilename(renderFilenamePattern(getSettings().filenamePattern, filenameTokens(thread, 'pdf'))) || 'lovable-chat';
+  const anchor = i => `message-${i + 1}`;
+
+  const times = thread.messages.map(displayTimestamp).filter(Boolean);
+  // `range.total` is the whole thread's length (see loadExportThread() in background.js)
+  const partial = thread.range?.total && thread.messages.length < thread.range.total;
+  const { from, to, total } = thread.range || {};
+  const range = partial ? ` of ${total} (${from === to ? `message ${from}` : `messages ${from}–${to}`})` : '';
+  const prompts = thread.messages.map((msg, i) => ({ msg, i })).filter(({ msg }) => msg.role === 'user');
+  // Stored URLs aren't trusted: one isSafeUrl() rejects stays plain text
+  const url = escapeHtml(thread.url);
+  const facts = [
+    ['Project', escapeHtml(values.projectId)],
+    ['URL', thread.url && isSafeUrl(thread.url) ? `<a href="${url}">${url}</a>` : url],
+    ['Messages', escapeHtml(`${thread.messages.length}${range}`)],
+    ['Prompts', String(prompts.length)],
+    ['First message', escapeHtml(times[0])],
+    ['Last message', escapeHtml(times[times.length - 1])],
+    ['Exported', escapeHtml(values.exportedAt)],
+  ].filter(([, html]) => html)
+    .map(([label, html]) => `<dt>${label}</dt><dd>${html}</dd>`);
+
+  const toc = prompts.map(({ msg, i }) => {
+    const when = displayTimestamp(msg);
+    return `<li><a href="#${anchor(i)}">${escapeHtml(promptTitle(msg))}</a>${when ? `<span class="time">${escapeHtml(when)}</span>` : ''}</li>`;
+  });
+
+  const messages = thread.messages.map((msg, i) => {
+    const { role, roleLabel, timestamp, index } = messageTemplateValues(msg, i, values);
+    // Collapsed sections would print as just their summary
+    const details = hasDetails(msg) ? detailsToHtml(msg).replace(/<details /g, '<details open ') : '';
+    return `<table class="message ${role}" id="${anchor(i)}">
+  <thead><tr><th>${escapeHtml(roleLabel)}${timestamp ? ` <span class="time">· ${escapeHtml(timestamp)}</span>` : ''}<span class="number">#${index}</span></th></tr></thead>
+  <tbody><tr><td${msg.contentHtml ? '' : ' class="plain"'}>${details}${messageBodyHtml(thread, msg)}</td></tr></tbody>
+</table>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(fileTitle)}</title>
+  <style>${PRINT_STYLESHEET}</style>
+</head>
+<body>
+  <section class="cover">
+    <div class="kicker">Lovable chat transcript</div>
+    <h1>${escapeHtml(title)}</h1>
+    <dl>${facts.join('')}</dl>
+  </section>
+  <nav class="toc">
+    <h2>Contents</h2>
+    ${toc.length ? `<ol>${toc.join('')}</ol>` : '<p>No prompts in this export.</p>'}
+  </nav>
+  <main>
+${messages.join('\n')}
+  </main>
+</body>
+</html>`;
+}
+
+// ── Bundles ───────────────────────────────────────────────────────────
+// A bundle is a ZIP (see zip.js) holding every format for several threads
+// plus an index.html linking them together.
+
+function threadSlug(summary) {
+  const base = (summary.path || summary.key).replace(/^\/+/, '').replace(/[^a-zA-Z0-9_-]+/g, '-');
+  return base || summary.key;
+}
+
+function bundleIndexHtml(entries, title) {
+  const rows = entries.map(({ summary, slug }) => `
+      <tr>
+        <td>${escapeHtml(summary.title || summary.path || summary.key)}<br><small>${escapeHtml(summary.path || '')}</small></td>
+        <td>${summary.count}</td>
+        <td>${escapeHtml(summary.firstTimestamp)} → ${escapeHtml(summary.lastTimestamp)}</td>
+        <td><a href="${slug}.html">HTML</a> · <a href="${slug}.md">MD</a> · <a href="${slug}.json">JSON</a></td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 960px; margin: 0 auto; padding: 2rem 1rem; background: #0f1117; color: #e2e8f0; }
+    table { width: 100%; border-collapse: collapse; font-size: .9rem; }
+    th, td { text-align: left; padding: .5rem .75rem; border-bottom: 1px solid #1e293b; vertical-align: top; }
+    th { color: #94a3b8; font-weight: 600; }
+    small { color: #64748b; }
+    a { color: #60a5fa; }
+  </style>
+</head>
+<body>
+  <h1>📦 ${escapeHtml(title)}</h1>
+  <p>Exported ${escapeHtml(formatTimestamp(new Date().toISOString(), getSettings().timeZone))} · ${entries.length} threads</p>
+  <table>
+    <thead><tr><th>Thread</th><th>Messages</th><th>Range</th><th>Files</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>`;
+}
+
+/**
+ * Zips every format for each of `items` ([{ summary, messages }], where
+ * `summary` comes from listThreads()) plus an index.html. Returns
+ * { content, filename, mimeType } like buildExport().
+ */
+function buildBundle(items, projectId = null) {
+  const files = [];
+  const entries = [];
+  items.forEach(({ summary, messages }) => {
+    const thread = { url: summary.url || '', title: summary.title, messages };
+    const slug = threadSlug(summary);
+    Object.values(EXPORT_FORMATS).forEach(({ ext, generate }) => {
+      files.push({ name: `${slug}.${ext}`, content: generate(thread) });
+    });
+    entries.push({ summary, slug });
+  });
+
+  const title = projectId ? `Lovable project ${projectId}` : 'Lovable chat archive';
+  files.unshift({ name: 'index.html', content: bundleIndexHtml(entries, title) });
+
+  // Bundles keep a fixed name; only the subfolder setting applies
+  const name = projectId ? 'lovable-project-{project}-{date}' : 'lovable-all-threads-{date}';
+  const tokens = { ...filenameTokens({ url: '', messages: [] }, 'zip'), project: projectId || 'all', count: items.length };
+  return { content: createZip(files), filename: downloadPath(name, tokens, 'zip'), mimeType: 'application/zip' };
+}
+
+// ── Building files ────────────────────────────────────────────────────
+
+const EXPORT_FORMATS = {
+  md:   { ext: 'md',   mimeType: 'text/markdown',    generate: exportMarkdown },
+  html: { ext: 'html', mimeType: 'text/html',        generate: exportHTML },
+  json: { ext: 'json', mimeType: 'application/json', generate: exportJSON },
+};
+
+// Kept apart from EXPORT_FORMATS so bundles only hold full transcripts
+const PROMPT_FORMATS = {
+  md:   { ext: 'md',   mimeType: 'text/markdown',    generate: exportPromptsMarkdown },
+  json: { ext: 'json', mimeType: 'application/json', generate: exportPromptsJSON },
+};
+
+/**
+ * Generates one file for `thread`: a transcript (`kind` 'thread'), a
+ * prompt library ('prompts', named like transcripts with "-prompts"
+ * added) or Obsidian notes ('obsidian', which ignores `format`). A
+ * Markdown transcript with bundled images becomes a ZIP.
+ * Returns { content, filename, mimeType }.
+ */
+function buildExport(thread, format, kind = 'thread') {
+  if (kind === 'obsidian') return buildObsidianExport(thread);
+  const formats = kind === 'prompts' ? PROMPT_FORMATS : EXPORT_FORMATS;
+  if (!formats[format]) throw new Error(`Unknown ${kind} format "${format}"`);
+  const { ext, mimeType, generate } = formats[format];
+
+  const pattern = getSettings().filenamePattern;
+  const tokens = filenameTokens(thread, format);
+  const filename = kind === 'prompts'
+    ? downloadPath(`${pattern}-prompts`, tokens, ext)
+    : downloadPath(pattern, tokens, ext);
+  const content = generate(thread);
+
+  // Markdown with fetched images: a ZIP with the .md and the images/ it links to
+  const paths = bundledImagePaths(thread);
+  if (kind === 'thread' && format === 'md' && paths.size) {
+    const files = [{ name: filename.split('/').pop(), content }];
+    paths.forEach((path, source) => files.push({ name: path, content: base64ToBytes(thread.images[source].data) }));
+    return { content: createZip(files), filename: filename.replace(/\.md$/, '.zip'), mimeType: 'application/zip' };
+  }
+  return { content, filename, mimeType };
+}
@@ -0,0 +1,265 @@
+// fulltext.js — full-text search over every captured message
+//
+// Runs in background.js. The index lives in the extension's IndexedDB (a
+// content script would get lovable.dev's instead), one document per
+// message:
+//
+//   { docId: '<threadKey>|<id>', threadKey, id, role, order, timestampText, text, terms }
+//
+// `terms` is the message's distinct words, indexed multiEntry so each query
+// word is one range lookup. Saves reach the index through
+// chrome.storage.onChanged (see updateSearchIndex()); searchMessages()
+// first reindexes any thread whose count doesn't match, which covers
+// threads captured before the index existed.
+
+const SEARCH_DB_NAME    = 'lce_search';
+const SEARCH_DB_VERSION = 1;
+const SEARCH_STORE      = 'messages';
+const SEARCH_LIMIT      = 50;
+const SNIPPET_LENGTH    = 200;
+const SNIPPET_CONTEXT   = 60; // characters shown before the first match
+
+// ── Text ──────────────────────────────────────────────────────────────
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+function searchWords(text) {
+  return (text || '').toLowerCase().match(WORD_PATTERN) || [];
+}
+
+/**
+ * Splits a query into quoted phrases and single words:
+ * 'login "magic link"' → { phrases: ['magic link'], words: ['login', 'magic', 'link'] }.
+ * Every word must match (as a word or the start of one); every phrase
+ * must appear as written, ignoring case and punctuation between words.
+ */
+function parseSearchQuery(query) {
+  const phrases = [];
+  const rest = (query || '').replace(/"([^"]*)"?/g, (match, phrase) => {
+    const words = searchWords(phrase);
+    if (words.length > 1) phrases.push(words.join(' '));
+    return ` ${phrase} `;
+  });
+  return { phrases, words: [...new Set(searchWords(rest))] };
+}
+
+// Lowercased words of `text` joined by single spaces, for phrase checks
+function phraseText(text) {
+  return ` ${searchWords(text).join(' ')} `;
+}
+
+// Matches a query word at the start of a word, or a whole phrase with any
+// non-word characters between its words
+function needlePattern(needle, isPhrase) {
+  const body = needle.split(' ').map(escapeRegExp).join('[^\\p{L}\\p{N}_]+');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${body}${isPhrase ? '(?![\\p{L}\\p{N}_])' : ''}`, 'giu');
+}
+
+/**
+ * A window of `text` around the first match, with match ranges relative
+ * to the returned text: { text, highlights: [[start, end], …] }.
+ */
+function makeSnippet(text, { phrases, words }) {
+  const patterns = [...phrases.map(p => needlePattern(p, true)), ...words.map(w => needlePattern(w, false))];
+  const first = Math.min(...patterns.map(p => {
+    p.lastIndex = 0;
+    const m = p.exec(text);
+    return m ? m.index : Infinity;
+  }));
+
+  let start = first === Infinity ? 0 : Math.max(0, first - SNIPPET_CONTEXT);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start; // don't cut a word in half
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const window = prefix + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+
+  const highlights = [];
+  patterns.forEach(p => {
+    p.lastIndex = 0;
+    for (const m of window.matchAll(p)) highlights.push([m.index, m.index + m[0].length]);
+  });
+  highlights.sort((a, b) => a[0] - b[0]);
+  // Overlapping ranges (a word inside a phrase) are merged
+  const merged = highlights.reduce((out, range) => {
+    const last = out[out.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else out.push([...range]);
+    return out;
+  }, []);
+  return { text: window, highlights: merged };
+}
+
+// ── Database ──────────────────────────────────────────────────────────
+
+function openSearchDb() {
+  return openDatabase(SEARCH_DB_NAME, SEARCH_DB_VERSION, db => {
+    const store = db.createObjectStore(SEARCH_STORE, { keyPath: 'docId' });
+    store.createIndex('thread', 'threadKey');
+    store.createIndex('terms', 'terms', { multiEntry: true });
+  });
+}
+
+async function searchStore(mode) {
+  const db = await openSearchDb();
+  return db.transaction(SEARCH_STORE, mode).objectStore(SEARCH_STORE);
+}
+
+function searchDocument(threadKey, message) {
+  return {
+    docId: `${threadKey}|${message.id}`,
+    threadKey,
+    id: message.id,
+    role: message.role,
+    order: message.order,
+    timestampText: message.timestampText || '',
+    text: message.contentText || '',
+    terms: [...new Set(searchWords(message.contentText))],
+  };
+}
+
+// Index writes run one at a time so a full reindex can't interleave with
+// the incremental updates that arrive while it runs
+let indexQueue = Promise.resolve();
+
+function queueIndexWork(work) {
+  const run = indexQueue.then(work);
+  indexQueue = run.catch(err => console.warn('[Lovable Exporter] Search index update failed:', err));
+  return run;
+}
+
+async function reindexThread(threadKey) {
+  const messages = Object.values(await loadThread(threadKey));
+  const store = await searchStore('readwrite');
+  const stale = await idbResult(store.index('thread').getAllKeys(threadKey));
+  stale.forEach(docId => store.delete(docId));
+  messages.forEach(m => store.put(searchDocument(threadKey, m)));
+  await idbDone(store.transaction);
+}
+
+async function removeThreadFromIndex(threadKey) {
+  const store = await searchStore('readwrite');
+  const docIds = await idbResult(store.index('thread').getAllKeys(threadKey));
+  docIds.forEach(docId => store.delete(docId));
+  await idbDone(store.transaction);
+}
+
+/**
+ * Applies a chrome.storage.onChanged batch: message records (lce_msg_*)
+ * are added, replaced or removed. contentText is stored uncompressed, so
+ * records are indexed without decoding them.
+ */
+function updateSearchIndex(changes) {
+  const entries = Object.entries(changes).filter(([key]) => key.startsWith(MESSAGE_KEY_PREFIX));
+  if (!entries.length) return Promise.resolve();
+  return queueIndexWork(async () => {
+    const store = await searchStore('readwrite');
+    entries.forEach(([key, { newValue }]) => {
+      const threadKey = STORAGE_KEY_PREFIX + key.slice(MESSAGE_KEY_PREFIX.length, key.indexOf('/'));
+      if (newValue) store.put(searchDocument(threadKey, newValue));
+      else store.delete(`${threadKey}|${key.slice(key.indexOf('/') + 1)}`);
+    });
+    await idbDone(store.transaction);
+  });
+}
+
+/**
+ * Brings the index in line with storage: threads whose message count
+ * differs are reindexed, threads no longer stored are dropped.
+ */
+function syncSearchIndex(threads) {
+  return queueIndexWork(async () => {
+    const store = await searchStore('readonly');
+    const indexed = await idbResult(store.index('thread').getAllKeys());
+    const stored = new Set(threads.map(t => t.key));
+    const counts = new Map();
+    // getAllKeys() on an index returns primary keys; the thread is their prefix
+    indexed.forEach(docId => {
+      const threadKey = docId.slice(0, docId.indexOf('|'));
+      counts.set(threadKey, (counts.get(threadKey) || 0) + 1);
+    });
+    for (const threadKey of counts.keys()) {
+      if (!stored.has(threadKey)) await removeThreadFromIndex(threadKey);
+    }
+    for (const thread of threads) {
+      if ((counts.get(thread.key) || 0) !== thread.count) await reindexThread(thread.key);
+    }
+  });
+}
+
+// ── Search ────────────────────────────────────────────────────────────
+
+// docIds containing a word that starts with `word`
+async function docsMatching(store, word) {
+  const keys = await idbResult(store.index('terms').getAllKeys(IDBKeyRange.bound(word, `${word}\uffff`)));
+  return new Set(keys);
+}
+
+/**
+ * Word matches count once per occurrence with diminishing returns; rare
+ * words weigh more, whole-word matches more than prefixes, and long
+ * messages are damped so a passing mention doesn't outrank a short answer.
+ */
+function scoreDocument(doc, words, docFrequency, totalDocs) {
+  const tokens = searchWords(doc.text);
+  let score = 0;
+  words.forEach(word => {
+    const exact = tokens.filter(t => t === word).length;
+    const prefix = tokens.filter(t => t !== word && t.startsWith(word)).length;
+    const tf = exact + prefix * 0.5;
+    const idf = Math.log(1 + totalDocs / (docFrequency.get(word) || 1));
+    score += idf * (tf / (tf + 1.2));
+  });
+  return score / (1 + Math.log(1 + tokens.length / 100));
+}
+
+/**
+ * Searches every captured message. `role` is 'all', 'user' or 'ai'.
+ * Resolves to { hits, total } with at most `limit` hits, best first:
+ * { threadKey, path, url, title, id, role, timestampText, snippet, score }
+ * where `snippet` is makeSnippet()'s { text, highlights }.
+ */
+async function searchMessages({ query, role = 'all', limit = SEARCH_LIMIT }) {
+  const parsed = parseSearchQuery(query);
+  if (!parsed.words.length) return { hits: [], total: 0 };
+
+  const threads = await listThreads();
+  await syncSearchIndex(threads);
+  const byKey = new Map(threads.map(t => [t.key, t]));
+
+  const store = await searchStore('readonly');
+  const totalDocs = await idbResult(store.count());
+  const matches = await Promise.all(parsed.words.map(word => docsMatching(store, word)));
+  const docFrequency = new Map(parsed.words.map((word, i) => [word, matches[i].size]));
+  // Intersect from the rarest word so the candidate set stays small
+  const [rarest, ...others] = [...matches].sort((a, b) => a.size - b.size);
+  const candidates = [...rarest].filter(docId => others.every(set => set.has(docId)));
+
+  const docs = await Promise.all(candidates.map(docId => idbResult(store.get(docId))));
+  const hits = docs
+    .filter(doc => doc && (role === 'all' || doc.role === role))
+    .filter(doc => {
+      const text = phraseText(doc.text);
+      return parsed.phrases.every(phrase => text.includes(` ${phrase} `));
+    })
+    .map(doc => {
+      const thread = byKey.get(doc.threadKey) || {};
+      return {
+        threadKey: doc.threadKey,
+        path: thread.path || '',
+        url: thread.url || '',
+        title: thread.title || '',
+        updatedAt: thread.updatedAt || '',
+        id: doc.id,
+        role: doc.role,
+        timestampText: doc.timestampText,
+        score: scoreDocument(doc, parsed.words, docFrequency, totalDocs),
+        text: doc.text,
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.updatedAt.localeCompare(a.updatedAt));
+
+  return {
+    total: hits.length,
+    hits: hits.slice(0, limit).map(({ text, ...hit }) => ({ ...hit, snippet: makeSnippet(text, parsed) })),
+  };
+}
@@ -0,0 +1,37 @@
+// idb.js — small promise wrappers over IndexedDB, shared by fulltext.js and snapshots.js
+
+const openDatabases = new Map(); // name → promise of the open database
+
+/**
+ * Opens (once per name) a database; `upgrade(db, oldVersion)` creates or
+ * migrates its stores. A failed open is retried on the next call.
+ */
+function openDatabase(name, version, upgrade) {
+  if (!openDatabases.has(name)) {
+    openDatabases.set(name, new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = event => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        openDatabases.delete(name);
+        reject(request.error);
+      };
+    }));
+  }
+  return openDatabases.get(name);
+}
+
+function idbDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,204 @@
+// importer.js — merges previously exported JSON files back into storage
+//
+// Pages read and parse the files (importFiles()); the merge itself runs in
+// background.js, which owns storage (its importThread request). Both
+// normalise messages with normalizeImportedMessages(), which needs
+// attachments.js.
+
+class ImportError extends Error {
+  constructor(fileName, message) {
+    super(`${fileName}: ${message}`);
+    this.name = 'ImportError';
+  }
+}
+
+function isImportableMessage(m) {
+  return !!m && typeof m === 'object'
+    && typeof m.id === 'string' && m.id !== ''
+    && (m.role === 'user' || m.role === 'ai')
+    && (typeof m.contentText === 'string' || typeof m.contentHtml === 'string');
+}
+
+// ── Normalising ───────────────────────────────────────────────────────
+// Files come from anywhere, and capture and the exporters rely on the
+// shape of these fields. Each list entry is rebuilt from its known fields,
+// or null when it can't be; text fields that aren't strings are dropped.
+
+const isText = value => typeof value === 'string';
+const textOr = (value, fallback = '') => (isText(value) ? value : fallback);
+const isEntry = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const IMPORTED_TEXT_FIELDS = ['contentHtml', 'contentText', 'hash', 'timestampText', 'timestamp', 'capturedAt', 'updatedAt', 'toolSummary'];
+
+const IMPORTED_LIST_FIELDS = {
+  attachments: a => (isText(a.name) && a.name !== ''
+    ? { name: a.name, type: textOr(a.type, attachmentType(a.name)), source: textOr(a.source), inContent: a.inContent === true }
+    : null),
+  thoughts: t => (isText(t.label) || isText(t.text) ? { label: textOr(t.label), text: textOr(t.text) } : null),
+  tools: t => (isText(t.name) && t.name !== ''
+    ? { name: t.name, target: textOr(t.target), summary: textOr(t.summary) }
+    : null),
+  revisions: r => (isText(r.contentHtml) || isText(r.contentText)
+    ? { hash: textOr(r.hash), contentHtml: textOr(r.contentHtml), contentText: textOr(r.contentText), capturedAt: textOr(r.capturedAt, null) }
+    : null),
+};
+
+/** Returns { message, repaired } with `repaired` true when anything malformed was dropped. */
+function normalizeImportedMessage(m) {
+  const message = { ...m };
+  let repaired = false;
+  IMPORTED_TEXT_FIELDS.forEach(field => {
+    if (field in message && !isText(message[field])) {
+      delete message[field];
+      repaired = true;
+    }
+  });
+  Object.entries(IMPORTED_LIST_FIELDS).forEach(([field, normalize]) => {
+    if (!(field in message)) return;
+    const list = Array.isArray(message[field]) ? message[field] : [];
+    const entries = list.filter(isEntry).map(normalize).filter(Boolean);
+    if (entries.length !== list.length || !Array.isArray(message[field])) repaired = true;
+    message[field] = entries;
+  });
+  return { message, repaired };
+}
+
+/**
+ * Keeps the importable messages, normalised. `invalid` counts messages
+ * dropped plus those that lost malformed fields or entries.
+ */
+function normalizeImportedMessages(list) {
+  const messages = [];
+  let invalid = 0;
+  list.forEach(m => {
+    if (!isImportableMessage(m)) { invalid++; return; }
+    const { message, repaired } = normalizeImportedMessage(m);
+    if (repaired) invalid++;
+    messages.push(message);
+  });
+  return { messages, invalid };
+}
+
+/**
+ * Validates the shape written by exportJSON() and returns
+ * { url, path, messages, invalid } where `invalid` counts dropped or
+ * repaired messages (see normalizeImportedMessages()).
+ */
+function parseExportFile(text, fileName) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new ImportError(fileName, 'not valid JSON'); }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ImportError(fileName, 'not a Lovable Chat Exporter JSON export');
+  }
+
+  let url;
+  try { url = new URL(data.url); } catch { throw new ImportError(fileName, 'missing a valid "url"'); }
+  if (url.origin !== LOVABLE_ORIGIN || !isChatPath(url.pathname)) {
+    throw new ImportError(fileName, `"${data.url}" is not a Lovable chat URL`);
+  }
+  if (!Array.isArray(data.messages)) throw new ImportError(fileName, 'missing a "messages" array');
+
+  const { messages, invalid } = normalizeImportedMessages(data.messages);
+  return {
+    url: data.url,
+    path: url.pathname.replace(/\/$/, ''),
+    messages,
+    invalid,
+  };
+}
+
+function versionTime(m) {
+  return m.updatedAt || m.capturedAt || '';
+}
+
+function sameContent(a, b) {
+  return (a.contentHtml || '') === (b.contentHtml || '') && (a.contentText || '') === (b.contentText || '');
+}
+
+// Union of both revision histories plus the version being replaced, oldest first
+function mergeRevisions(existing, incoming) {
+  const seen = new Set();
+  const all = [
+    ...(existing.revisions || []),
+    ...(incoming.revisions || []),
+    { hash: existing.hash, contentHtml: existing.contentHtml, contentText: existing.contentText, capturedAt: versionTime(existing) || null },
+  ];
+  return all
+    .filter(rev => {
+      const id = `${rev.contentHtml}\u0000${rev.contentText}`;
+      if (seen.has(id) || sameContent(rev, incoming)) return false;
+      seen.add(id);
+      return true;
+    })
+    .sort((a, b) => (a.capturedAt || '').localeCompare(b.capturedAt || ''));
+}
+
+/**
+ * Merges one parsed export into its stored thread, matching by id.
+ *
+ * Conflict rule: an incoming message replaces the stored one only when its
+ * content differs and its `updatedAt` (or `capturedAt`) is newer. The
+ * replaced version is kept in `revisions`. Everything else is skipped.
+ * New messages are placed using the export's own order.
+ */
+async function importThreadExport(data) {
+  const key = getThreadKeyForPath(data.path);
+  const [stored, meta] = await Promise.all([loadThread(key), loadThreadMeta(key)]);
+  ensureOrder(stored);
+
+  const result = { added: 0, updated: 0, skipped: data.invalid };
+  const batch = data.messages.map(incoming => {
+    const existing = stored[incoming.id];
+    if (!existing) {
+      // Order keys from another browser mean nothing here
+      const { order, ...message } = incoming;
+      stored[incoming.id] = message;
+      result.added++;
+      return message;
+    }
+    if (sameContent(existing, incoming) || !(versionTime(incoming) > versionTime(existing))) {
+      result.skipped++;
+      return existing;
+    }
+    stored[incoming.id] = {
+      ...incoming,
+      order: existing.order,
+      revisions: mergeRevisions(existing, incoming),
+    };
+    result.updated++;
+    return stored[incoming.id];
+  });
+
+  if (result.added || result.updated) {
+    placeNewMessages(stored, batch);
+    await saveThread(key, stored, { ...meta, path: data.path, url: LOVABLE_ORIGIN + data.path });
+  }
+  return result;
+}
+
+/**
+ * Imports a FileList / array of Files. Resolves to
+ * { files, added, updated, skipped, errors } — bad files are reported, not thrown.
+ */
+async function importFiles(files) {
+  const totals = { files: 0, added: 0, updated: 0, skipped: 0, errors: [] };
+  for (const file of Array.from(files)) {
+    try {
+      const data = parseExportFile(await file.text(), file.name);
+      const result = await callBackground('importThread', { data });
+      totals.files++;
+      totals.added += result.added;
+      totals.updated += result.updated;
+      totals.skipped += result.skipped;
+    } catch (err) {
+      totals.errors.push(err instanceof ImportError ? err.message : `${file.name}: ${err.message}`);
+    }
+  }
+  return totals;
+}
+
+function formatImportSummary(totals) {
+  const summary = `Imported ${totals.files} file${totals.files === 1 ? '' : 's'}: `
+    + `${totals.added} added, ${totals.updated} updated, ${totals.skipped} skipped`;
+  return totals.errors.length ? `${summary}\n${totals.errors.join('\n')}` : summary;
+}
@@ -0,0 +1,234 @@
+// markdown.js — HTML → GitHub-Flavored Markdown conversion for captured messages
+//
+// Handles what Lovable renders in replies: paragraphs, headings, emphasis,
+// strikethrough, inline and fenced code, nested and task lists, tables,
+// links, images and blockquotes. Plain text is escaped so it can't turn
+// into Markdown syntax by accident. Input goes through sanitize.js first.
+
+const MD_BLOCK_TAGS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote',
+  'ul', 'ol', 'table', 'hr', 'section', 'article', 'header', 'footer', 'figure',
+]);
+
+// ── Escaping ──────────────────────────────────────────────────────────
+
+function escapeMarkdownText(text, { atLineStart = false, inTable = false } = {}) {
+  let out = text
+    .replace(/\\/g, '\\\\')
+    .replace(/([*_`~[\]<])/g, '\\$1')
+    .replace(/&(?=#?\w+;)/g, '&amp;');
+  if (inTable) out = out.replace(/\|/g, '\\|');
+  if (atLineStart) {
+    // Text that would otherwise start a heading, quote, list or rule
+    out = out
+      .replace(/^(\s*)([#>+=-])/, '$1\\$2')
+      .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2');
+  }
+  return out;
+}
+
+function codeFence(code, min) {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(min, longest + 1));
+}
+
+function markdownUrl(url) {
+  return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+// ── Inline ────────────────────────────────────────────────────────────
+
+function isBlockElement(node) {
+  return node.nodeType === Node.ELEMENT_NODE && MD_BLOCK_TAGS.has(node.tagName.toLowerCase());
+}
+
+function inlineChildren(node, ctx) {
+  return Array.from(node.childNodes).map(child => inlineToMarkdown(child, ctx)).join('');
+}
+
+// Wraps `inner` in a delimiter, keeping surrounding spaces outside it
+function wrapInline(inner, delimiter) {
+  const match = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return inner;
+  return `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}`;
+}
+
+function inlineToMarkdown(node, ctx) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    const text = node.textContent.replace(/\s+/g, ' ');
+    return escapeMarkdownText(text, { atLineStart: !node.previousSibling && ctx.atBlockStart, inTable: ctx.inTable });
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  const tag = node.tagName.toLowerCase();
+  const inner = () => inlineChildren(node, { ...ctx, atBlockStart: ctx.atBlockStart && !node.previousSibling });
+
+  switch (tag) {
+    case 'br': return ctx.inTable ? '<br>' : '\\\n';
+    case 'strong': case 'b': return wrapInline(inner(), '**');
+    case 'em': case 'i': return wrapInline(inner(), '*');
+    case 'del': case 's': case 'strike': return wrapInline(inner(), '~~');
+    case 'sub': case 'sup': case 'kbd': return `<${tag}>${inner()}</${tag}>`;
+    case 'code': {
+      // GFM splits table cells on `|` even inside code spans
+      const code = ctx.inTable ? node.textContent.replace(/\|/g, '\\|') : node.textContent;
+      const fence = codeFence(code, 1);
+      const pad = /^`|`$/.test(code) ? ' ' : '';
+      return `${fence}${pad}${code}${pad}${fence}`;
+    }
+    case 'a': {
+      const text = inner();
+      const href = node.getAttribute('href');
+      if (!href) return text;
+      const title = node.getAttribute('title');
+      if (node.textContent === href && /^https?:\/\/\S+$/.test(href)) return `<${href}>`;
+      return `[${text}](${markdownUrl(href)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+    }
+    case 'img': {
+      const src = node.getAttribute('src');
+      if (!src) return '';
+      const alt = escapeMarkdownText(node.getAttribute('alt') || '');
+      return `![${alt}](${markdownUrl(src)})`;
+    }
+    case 'input': return ''; // task-list checkboxes are rendered by the list item
+    default: return inner();
+  }
+}
+
+// Tidies an inline run into paragraph text
+function finishInline(text) {
+  return text
+    .replace(/ {2,}/g, ' ')
+    .replace(/ *\\\n */g, '\\\n')
+    .replace(/^\s+|\s+$/g, '')
+    .replace(/\\\n$/, '');
+}
+
+// ── Blocks ────────────────────────────────────────────────────────────
+
+/**
+ * Renders the children of a container as Markdown blocks. Loose inline
+ * content between block elements becomes its own paragraph. Blocks are
+ * joined by a blank line, or a single newline for tight list items.
+ */
+function blocksToMarkdown(node, ctx = {}, { tight = false } = {}) {
+  const blocks = [];
+  let run = [];
+
+  const flush = () => {
+    if (!run.length) return;
+    const wrapper = node.ownerDocument.createElement('span');
+    run.forEach(child => wrapper.appendChild(child.cloneNode(true)));
+    const text = finishInline(inlineChildren(wrapper, { ...ctx, atBlockStart: true }));
+    if (text) blocks.push(text);
+    run = [];
+  };
+
+  Array.from(node.childNodes).forEach(child => {
+    if (isBlockElement(child)) {
+      flush();
+      const block = blockToMarkdown(child, ctx);
+      if (block) blocks.push(block);
+    } else {
+      run.push(child);
+    }
+  });
+  flush();
+
+  return blocks.join(tight ? '\n' : '\n\n');
+}
+
+function blockToMarkdown(node, ctx) {
+  const tag = node.tagName.toLowerCase();
+
+  switch (tag) {
+    case 'p':
+      return finishInline(inlineChildren(node, { ...ctx, atBlockStart: true }));
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+      const text = finishInline(inlineChildren(node, ctx)).replace(/\\?\n/g, ' ');
+      return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+    }
+    case 'pre': {
+      const codeEl = node.querySelector('code');
+      const lang = (codeEl?.className || '').match(/language-([\w+#-]+)/)?.[1] || '';
+      const code = (codeEl || node).textContent.replace(/\n$/, '');
+      const fence = codeFence(code, 3);
+      return `${fence}${lang}\n${code}\n${fence}`;
+    }
+    case 'blockquote': {
+      const inner = blocksToMarkdown(node, ctx);
+      return inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+    }
+    case 'ul': case 'ol':
+      return listToMarkdown(node, ctx);
+    case 'table':
+      return tableToMarkdown(node);
+    case 'hr':
+      return '---';
+    default:
+      return blocksToMarkdown(node, ctx);
+  }
+}
+
+function listToMarkdown(list, ctx) {
+  const ordered = list.tagName.toLowerCase() === 'ol';
+  let n = parseInt(list.getAttribute('start'), 10);
+  if (isNaN(n)) n = 1;
+
+  const items = Array.from(list.children).filter(el => el.tagName.toLowerCase() === 'li');
+  // A list is loose when its items hold more than one paragraph
+  const loose = items.some(li => li.querySelectorAll(':scope > p').length > 1);
+
+  const rendered = items.map(li => {
+    const marker = ordered ? `${n++}.` : '-';
+    const checkbox = li.querySelector(':scope > input[type="checkbox"], :scope > p:first-child > input[type="checkbox"]');
+    const task = checkbox ? (checkbox.hasAttribute('checked') ? '[x] ' : '[ ] ') : '';
+
+    const body = blocksToMarkdown(li, ctx, { tight: !loose });
+    const indent = ' '.repeat(marker.length + 1);
+    const [first = '', ...rest] = body.split('\n');
+    const continuation = rest.map(line => (line ? indent + line : line));
+    return [`${marker} ${task}${first}`.trimEnd(), ...continuation].join('\n');
+  });
+
+  return rendered.join(loose ? '\n\n' : '\n');
+}
+
+function tableToMarkdown(table) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .filter(tr => tr.closest('table') === table);
+  if (!rows.length) return '';
+
+  const cellsOf = tr => Array.from(tr.children).filter(c => /^t[hd]$/i.test(c.tagName));
+  const cellText = cell => finishInline(inlineChildren(cell, { inTable: true, atBlockStart: false }))
+    .replace(/\n/g, ' ');
+
+  // GFM needs a header row; use the first row when the table has none
+  const headerRow = table.querySelector('thead tr') || rows[0];
+  const bodyRows = rows.filter(tr => tr !== headerRow);
+  const width = Math.max(...rows.map(tr => cellsOf(tr).length), 1);
+
+  const line = cells => `| ${cells.join(' | ')} |`;
+  const padded = tr => {
+    const cells = cellsOf(tr).map(cellText);
+    while (cells.length < width) cells.push('');
+    return cells;
+  };
+  const align = cellsOf(headerRow).map(cell => {
+    switch ((cell.getAttribute('align') || '').toLowerCase()) {
+      case 'left': return ':---';
+      case 'center': return ':---:';
+      case 'right': return '---:';
+      default: return '---';
+    }
+  });
+  while (align.length < width) align.push('---');
+
+  return [line(padded(headerRow)), line(align), ...bodyRows.map(tr => line(padded(tr)))].join('\n');
+}
+
+function htmlToMarkdown(html) {
+  // sanitize.js parses the markup inertly so nothing in it runs while we walk the tree
+  const root = sanitizeToElement(html);
+  return blocksToMarkdown(root).trim();
+}
@@ -0,0 +1,25 @@
+// offscreen.js — builds export files for background.js
+//
+// Runs in an offscreen document because htmlToMarkdown() and the sanitizer
+// need DOMParser. This context has no chrome.storage, so each request
+// carries the data, settings and templates to use. Files go back as blob:
+// URLs, which stay valid until background.js releases them; the print
+// view's document goes back as a string.
+
+handleRequests('offscreen', {
+  build: ({ kind, format, thread, items, projectId, settings, templates }) => {
+    useSettings(settings);
+    useTemplates(templates);
+    const file = kind === 'bundle' ? buildBundle(items, projectId) : buildExport(thread, format, kind);
+    const blob = file.content instanceof Blob ? file.content : new Blob([file.content], { type: file.mimeType });
+    return { url: URL.createObjectURL(blob), filename: file.filename };
+  },
+  render: ({ thread, settings, templates }) => {
+    useSettings(settings);
+    useTemplates(templates);
+    return exportPrintHTML(thread);
+  },
+  release: ({ url }) => {
+    URL.revokeObjectURL(url);
+  },
+});
@@ -0,0 +1,108 @@
+// options.js — settings page
+
+function showStatus(id, message, isError = false) {
+  const el = document.getElementById(id);
+  el.textContent = message;
+  el.className = isError ? 'status error' : 'status';
+  if (!isError) setTimeout(() => { if (el.textContent === message) el.textContent = ''; }, 2500);
+}
+
+// ── Preferences ───────────────────────────────────────────────────────
+
+function fillSettings(settings) {
+  document.querySelectorAll('[data-setting]').forEach(el => {
+    if (el.dataset.type === 'boolean') el.checked = settings[el.dataset.setting];
+    else el.value = settings[el.dataset.setting];
+  });
+  showFieldErrors({});
+}
+
+function readSettings() {
+  const settings = {};
+  document.querySelectorAll('[data-setting]').forEach(el => {
+    const name = el.dataset.setting;
+    if (el.dataset.type === 'boolean') settings[name] = el.checked;
+    else if (el.dataset.type === 'number') settings[name] = Number(el.value);
+    else settings[name] = el.value;
+  });
+  return settings;
+}
+
+function showFieldErrors(errors) {
+  document.querySelectorAll('[data-error-for]').forEach(el => {
+    el.textContent = errors[el.dataset.errorFor] || '';
+  });
+}
+
+document.getElementById('btn-save-settings').addEventListener('click', async () => {
+  try {
+    fillSettings(await saveSettings(readSettings()));
+    showStatus('settings-status', 'Preferences saved.');
+  } catch (err) {
+    showFieldErrors(err.fields || {});
+    showStatus('settings-status', err.message, true);
+  }
+});
+
+document.getElementById('btn-reset-settings').addEventListener('click', async () => {
+  if (!confirm('Restore the default preferences?')) return;
+  fillSettings(await resetSettings());
+  showStatus('settings-status', 'Defaults restored.');
+});
+
+// Embedding images means fetching them from wherever they're hosted, so
+// turning either option on asks for that access; the checkbox click is
+// the user gesture chrome.permissions.request() needs
+const IMAGE_ORIGINS = { origins: ['https://*/*'] };
+
+['set-inlineImages', 'set-bundleImages'].forEach(id => {
+  const checkbox = document.getElementById(id);
+  checkbox.addEventListener('change', () => {
+    if (!checkbox.checked) return;
+    chrome.permissions.request(IMAGE_ORIGINS, granted => {
+      if (granted) return;
+      checkbox.checked = false;
+      showStatus('settings-status', 'Images can only be embedded with permission to download them.', true);
+    });
+  });
+});
+
+// Suggestions for the time zone field; any IANA name is accepted
+document.getElementById('time-zones').replaceChildren(
+  ...Intl.supportedValuesOf('timeZone').map(zone => new Option(zone)),
+);
+
+loadSettings().then(fillSettings);
+
+// ── Templates ─────────────────────────────────────────────────────────
+
+function fillTemplates(templates) {
+  document.querySelectorAll('[data-template]').forEach(el => {
+    el.value = templates[el.dataset.template];
+  });
+}
+
+function readTemplates() {
+  const templates = {};
+  document.querySelectorAll('[data-template]').forEach(el => {
+    templates[el.dataset.template] = el.value;
+  });
+  return templates;
+}
+
+document.getElementById('btn-save-templates').addEventListener('click', async () => {
+  try {
+    fillTemplates(await saveTemplates(readTemplates()));
+    showStatus('templates-status', 'Templates saved.');
+  } catch (err) {
+    showStatus('templates-status', `Could not save: ${err.message}`, true);
+  }
+});
+
+document.getElementById('btn-reset-templates').addEventListener('click', async () => {
+  if (!confirm('Restore the default export templates?')) return;
+  fillTemplates(await resetTemplates());
+  showStatus('templates-status', 'Defaults restored.');
+});
+
+loadTemplates().then(fillTemplates);
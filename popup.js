@@ -1,16 +1,15 @@
 // popup.js — handles the extension popup UI
 
-const STORAGE_KEY_PREFIX = 'lce_thread_';
+// Storage keys come from threads.js, loaded ahead of this script.
 
 function getThreadKey(url) {
-  const path = new URL(url).pathname.replace(/\/$/, '');
-  return STORAGE_KEY_PREFIX + btoa(path).replace(/[^a-z0-9]/gi, '_');
+  return getThreadKeyForPath(new URL(url).pathname);
 }
 
 function isLovableChatUrl(url) {
   try {
     const u = new URL(url);
-    return u.hostname === 'lovable.dev' && /\/(projects|chat)\/[a-zA-Z0-9_-]+/.test(u.pathname);
+    return u.hostname === 'lovable.dev' && isChatPath(u.pathname);
   } catch { return false; }
 }
 
@@ -21,23 +20,241 @@ async function getActiveTab() {
 }
 
 async function getMessages(tabUrl) {
-  const key = getThreadKey(tabUrl);
+  const { messages } = await callBackground('getThread', { key: getThreadKey(tabUrl) });
+  return messages;
+}
+
+async function clearMessages(tabUrl) {
+  return callBackground('deleteThread', { key: getThreadKey(tabUrl) });
+}
+
+// Tabs opened before the extension was installed or updated have no
+// content script until they're reloaded
+function sendToContent(tabId, action, data = {}) {
+  chrome.tabs.sendMessage(tabId, { action, ...data }, () => {
+    if (!chrome.runtime.lastError) return;
+    const notice = document.getElementById('not-on-chat').textContent.trim();
+    showResult(`${notice} If this tab is one, reload it first.`, true);
+  });
+}
+
+function showResult(text, isError = false) {
+  const result = document.getElementById('export-result');
+  result.textContent = text;
+  result.className = isError ? 'result error' : 'result';
+  result.style.display = 'block';
+}
+
+// ── Exports ───────────────────────────────────────────────────────────
+// The background worker builds and downloads every file. The content
+// script is asked to save first so messages still waiting on its debounce
+// are included; if it isn't there (tab still loading), export what's stored.
+
+function flushContent(tabId) {
   return new Promise(resolve => {
-    chrome.storage.local.get([key], result => {
-      resolve(result[key] || {});
+    chrome.tabs.sendMessage(tabId, { action: 'saveNow' }, () => {
+      void chrome.runtime.lastError;
+      resolve();
     });
   });
 }
 
-async function clearMessages(tabUrl) {
-  const key = getThreadKey(tabUrl);
-  return new Promise(resolve => {
-    chrome.storage.local.remove([key], resolve);
+async function runExport(tabId, request) {
+  showResult('Exporting…');
+  try {
+    await flushContent(tabId);
+    const { imagesMissing } = await callBackground('export', request);
+    // Stay open long enough to say which images weren't embedded
+    if (imagesMissing) showResult(describeMissingImages(imagesMissing), true);
+    else window.close();
+  } catch (err) {
+    showResult(`Export failed: ${err.message}`, true);
+  }
+}
+
+// ── Capture progress ──────────────────────────────────────────────────
+// The content script runs the capture job and reports every round with a
+// `captureProgress` message; the popup just mirrors it.
+
+let captureTabId = null;
+
+function showCaptureStatus(status) {
+  if (!status) return; // content script not ready yet
+  const active = status.state === 'running' || status.state === 'paused';
+  document.getElementById('btn-scroll').style.display = active ? 'none' : 'flex';
+  document.getElementById('btn-sweep').style.display = active ? 'none' : 'flex';
+  document.getElementById('capture').style.display = active ? 'block' : 'none';
+  document.getElementById('capture-status').textContent = describeCaptureStatus(status);
+  document.getElementById('btn-capture-pause').textContent = status.state === 'paused' ? 'Resume' : 'Pause';
+  document.getElementById('btn-capture-pause').dataset.state = status.state;
+  document.getElementById('msg-count').textContent = status.found;
+}
+
+chrome.runtime.onMessage.addListener((msg, sender) => {
+  if (msg.action !== 'captureProgress' || sender.tab?.id !== captureTabId) return;
+  showCaptureStatus(msg);
+  if (msg.state === 'idle') render(); // finished or cancelled: refresh counts and range
+});
+
+// ── Storage usage ─────────────────────────────────────────────────────
+// Bytes per thread come from background.js; only the largest few are
+// listed, with the current thread highlighted.
+
+const STORAGE_LIST_LENGTH = 5;
+
+const EVICTION_NOTES = {
+  off: 'New captures stop saving once it is full; delete threads you no longer need.',
+  revisions: 'Old revision histories are removed at 90%.',
+  threads: 'Revision histories, then least recently used threads, are removed at 90%.',
+};
+
+function createStorageRow(thread, currentKey) {
+  const row = document.createElement('div');
+  row.className = thread.key === currentKey ? 'storage-thread current' : 'storage-thread';
+  const name = document.createElement('span');
+  name.className = 'name';
+  name.textContent = thread.title || thread.path || thread.key;
+  name.title = thread.path || thread.key;
+  const size = document.createElement('span');
+  size.textContent = `${formatBytes(thread.bytes)} · ${thread.count} msgs`;
+  row.append(name, size);
+  return row;
+}
+
+async function renderStorage(currentKey) {
+  const summary = document.getElementById('storage-summary');
+  let usage;
+  try {
+    usage = await callBackground('storageUsage');
+  } catch (err) {
+    summary.textContent = `Couldn't read storage use: ${err.message}`;
+    summary.className = 'storage-summary warn';
+    return;
+  }
+
+  const ratio = usage.used / usage.quota;
+  const nearlyFull = ratio >= STORAGE_WARN_RATIO;
+  const { storageEviction } = await loadSettings();
+  const fill = document.getElementById('storage-fill');
+  fill.style.width = `${Math.min(100, ratio * 100)}%`;
+  fill.className = nearlyFull ? 'storage-fill warn' : 'storage-fill';
+  summary.textContent = `${formatBytes(usage.used)} of ${formatBytes(usage.quota)} used (${Math.round(ratio * 100)}%)`
+    + (nearlyFull ? ` — nearly full. ${EVICTION_NOTES[storageEviction]}` : '');
+  summary.className = nearlyFull ? 'storage-summary warn' : 'storage-summary';
+
+  // Always list the current thread, even when it isn't among the largest
+  const shown = usage.threads.slice(0, STORAGE_LIST_LENGTH);
+  const current = usage.threads.find(t => t.key === currentKey);
+  if (current && !shown.includes(current)) shown.push(current);
+  document.getElementById('storage-threads').replaceChildren(...shown.map(t => createStorageRow(t, currentKey)));
+}
+
+// ── Snapshots ─────────────────────────────────────────────────────────
+// Kept by background.js for the current thread, including the one taken
+// before a Clear, so the list still shows after the thread is emptied.
+
+function createSnapshotRow(snapshot, actions) {
+  const row = document.createElement('div');
+  row.className = 'snapshot';
+
+  const info = document.createElement('div');
+  info.className = 'info';
+  const name = document.createElement('div');
+  name.className = 'name';
+  name.textContent = describeSnapshot(snapshot);
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = `${new Date(snapshot.createdAt).toLocaleString()} · ${snapshot.count} messages`;
+  info.append(name, meta);
+
+  row.appendChild(info);
+  Object.entries(actions).forEach(([label, onClick]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    row.appendChild(btn);
   });
+  return row;
 }
 
-function sendToContent(tabId, action, data = {}) {
-  chrome.tabs.sendMessage(tabId, { action, ...data });
+async function renderSnapshots(threadKey, actionsFor) {
+  const list = document.getElementById('snapshots');
+  let snapshots;
+  try {
+    snapshots = await callBackground('listSnapshots', { key: threadKey });
+  } catch (err) {
+    showResult(`Couldn't load snapshots: ${err.message}`, true);
+    return;
+  }
+  const empty = document.createElement('div');
+  empty.className = 'empty-note';
+  empty.textContent = 'No snapshots yet. They are also taken automatically (see Settings).';
+  list.replaceChildren(...(snapshots.length ? snapshots.map(s => createSnapshotRow(s, actionsFor(s))) : [empty]));
+}
+
+// ── Range ─────────────────────────────────────────────────────────────
+// The selection is remembered per thread for the browser session, so it
+// survives the popup closing after each export.
+
+const SELECTION_KEY_PREFIX = 'lce_selection_';
+
+async function loadSelection(threadKey) {
+  const key = SELECTION_KEY_PREFIX + threadKey;
+  const stored = await new Promise(resolve => chrome.storage.session.get([key], resolve));
+  return { ...DEFAULT_SELECTION, ...stored[key] };
+}
+
+function saveSelection(threadKey, selection) {
+  chrome.storage.session.set({ [SELECTION_KEY_PREFIX + threadKey]: selection });
+}
+
+function fillMessageSelect(select, sorted) {
+  select.replaceChildren(...sorted.map((m, i) => new Option(describeMessage(m, i), m.id)));
+}
+
+/**
+ * Wires the range controls for one thread and calls onChange(selection)
+ * whenever they change. Returns a getter for the current selection.
+ */
+async function setupRange(threadKey, sorted, onChange) {
+  const el = id => document.getElementById(id);
+  const bounds = selectionBounds(sorted);
+  const saved = await loadSelection(threadKey);
+
+  fillMessageSelect(el('sel-from-id'), sorted);
+  fillMessageSelect(el('sel-to-id'), sorted);
+  el('sel-mode').value = saved.mode;
+  el('sel-from-date').value = saved.fromDate || bounds.fromDate;
+  el('sel-to-date').value = saved.toDate || bounds.toDate;
+  el('sel-from-id').value = saved.fromId || bounds.fromId;
+  el('sel-to-id').value = saved.toId || bounds.toId;
+  el('sel-role').value = saved.role;
+
+  const read = () => ({
+    mode: el('sel-mode').value,
+    fromDate: el('sel-from-date').value,
+    toDate: el('sel-to-date').value,
+    fromId: el('sel-from-id').value,
+    toId: el('sel-to-id').value,
+    role: el('sel-role').value,
+  });
+
+  const update = () => {
+    const selection = read();
+    el('sel-dates').style.display = selection.mode === 'date' ? 'flex' : 'none';
+    el('sel-from-id').style.display = el('sel-to-id').style.display = selection.mode === 'messages' ? 'block' : 'none';
+    const { messages } = selectMessages(sorted, selection);
+    el('sel-summary').textContent = `${messages.length} of ${sorted.length} messages will be exported`;
+    saveSelection(threadKey, selection);
+    onChange(selection);
+  };
+
+  ['sel-mode', 'sel-from-date', 'sel-to-date', 'sel-from-id', 'sel-to-id', 'sel-role'].forEach(id => {
+    el(id).onchange = update;
+  });
+  update();
+  return read;
 }
 
 // ── Render ────────────────────────────────────────────────────────────
@@ -45,7 +262,32 @@ function sendToContent(tabId, action, data = {}) {
 async function render() {
   const tab = await getActiveTab();
 
-  if (!tab || !isLovableChatUrl(tab.url)) {
+  document.getElementById('btn-archive').onclick = () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('archive.html') });
+    window.close();
+  };
+
+  document.getElementById('btn-search').onclick = () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('search.html') });
+    window.close();
+  };
+
+  document.getElementById('btn-options').onclick = () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  };
+
+  // Chrome often closes the popup when a file picker opens, losing the
+  // import, so files are picked on the archive page instead
+  document.getElementById('btn-import').onclick = () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('archive.html?import') });
+    window.close();
+  };
+
+  const onChat = tab && isLovableChatUrl(tab.url);
+  renderStorage(onChat ? getThreadKey(tab.url) : null);
+
+  if (!onChat) {
     document.getElementById('not-on-chat').style.display = 'block';
     document.getElementById('on-chat').style.display = 'none';
     return;
@@ -54,48 +296,137 @@ async function render() {
   document.getElementById('not-on-chat').style.display = 'none';
   document.getElementById('on-chat').style.display = 'block';
 
-  const messages = await getMessages(tab.url);
-  const count = Object.keys(messages).length;
+  let sorted;
+  try {
+    sorted = await getMessages(tab.url);
+  } catch (err) {
+    showResult(`Couldn't load this thread: ${err.message}`, true);
+    return;
+  }
+  const count = sorted.length;
+
+  const checkpoint = await callBackground('getCheckpoint', { key: getThreadKey(tab.url) }).catch(() => null);
 
   document.getElementById('msg-count').textContent = count;
   document.getElementById('msg-sub').textContent = count === 0
     ? 'Scroll the chat or click "Capture full history"'
-    : 'Ready to export';
+    : checkpoint?.sweptAt
+      ? `Ready to export · last sweep: ${describeGaps(checkpoint.gaps || [])}`
+      : 'Ready to export';
 
   // Wire up buttons
-  document.getElementById('btn-scroll').onclick = () => {
-    sendToContent(tab.id, 'autoScroll');
-    window.close();
+  captureTabId = tab.id;
+  chrome.tabs.sendMessage(tab.id, { action: 'getCaptureStatus' }, status => {
+    void chrome.runtime.lastError; // no content script yet (tab still loading)
+    showCaptureStatus(status);
+  });
+
+  document.getElementById('btn-scroll').onclick = () => sendToContent(tab.id, 'autoScroll');
+  document.getElementById('btn-sweep').onclick = () => sendToContent(tab.id, 'sweep');
+  document.getElementById('btn-capture-pause').onclick = e => {
+    sendToContent(tab.id, e.currentTarget.dataset.state === 'paused' ? 'resumeCapture' : 'pauseCapture');
   };
+  document.getElementById('btn-capture-cancel').onclick = () => sendToContent(tab.id, 'cancelCapture');
 
-  document.getElementById('btn-md').onclick = () => {
-    sendToContent(tab.id, 'exportMD');
-    window.close();
+  // Disable exports if the range selects nothing. The prompt library
+  // ignores the role filter, so it only needs a prompt inside the range.
+  const exportBtns = ['btn-quick', 'btn-md', 'btn-html', 'btn-json', 'btn-print'];
+  const promptBtns = ['btn-prompts-md', 'btn-prompts-json'];
+  const getSelection = await setupRange(getThreadKey(tab.url), sorted, selection => {
+    const selected = selectMessages(sorted, selection).messages;
+    const inRange = selectMessages(sorted, { ...selection, role: 'all' }).messages;
+    exportBtns.forEach(id => {
+      document.getElementById(id).disabled = selected.length === 0;
+    });
+    promptBtns.forEach(id => {
+      document.getElementById(id).disabled = !inRange.some(m => m.role === 'user');
+    });
+  });
+
+  const { defaultFormat, obsidianNotes } = await loadSettings();
+  document.getElementById('quick-sub').textContent = `.${defaultFormat} — your default format (change in Settings)`;
+  document.getElementById('obsidian-sub').textContent = obsidianNotes === 'exchange'
+    ? '.zip — a note per prompt, whole thread'
+    : '.md with frontmatter — whole thread';
+  const key = getThreadKey(tab.url);
+  const exportThread = (kind, format) => runExport(tab.id, { kind, format, key, selection: getSelection() });
+  document.getElementById('btn-quick').onclick = () => exportThread('thread', defaultFormat);
+  document.getElementById('btn-md').onclick = () => exportThread('thread', 'md');
+  document.getElementById('btn-html').onclick = () => exportThread('thread', 'html');
+  document.getElementById('btn-json').onclick = () => exportThread('thread', 'json');
+  document.getElementById('btn-obsidian').onclick = () => runExport(tab.id, { kind: 'obsidian', key });
+  document.getElementById('btn-print').onclick = async () => {
+    try {
+      await flushContent(tab.id);
+      await callBackground('openPrint', { key, selection: getSelection() });
+      window.close();
+    } catch (err) {
+      showResult(`Print view failed: ${err.message}`, true);
+    }
   };
+  document.getElementById('btn-prompts-md').onclick = () => exportThread('prompts', 'md');
+  document.getElementById('btn-prompts-json').onclick = () => exportThread('prompts', 'json');
 
-  document.getElementById('btn-html').onclick = () => {
-    sendToContent(tab.id, 'exportHTML');
-    window.close();
+  document.getElementById('btn-bundle-project').onclick = () => {
+    runExport(tab.id, { kind: 'bundle', projectId: getProjectId(new URL(tab.url).pathname) });
   };
 
-  document.getElementById('btn-json').onclick = () => {
-    sendToContent(tab.id, 'exportJSON');
-    window.close();
+  document.getElementById('btn-bundle-all').onclick = () => {
+    runExport(tab.id, { kind: 'bundle', projectId: null });
+  };
+
+  renderSnapshots(key, snapshot => ({
+    Restore: async () => {
+      if (!confirm(`Replace the captured messages with "${describeSnapshot(snapshot)}" (${snapshot.count} messages)? The current version is snapshotted first.`)) return;
+      try {
+        const { count } = await callBackground('restoreSnapshot', { id: snapshot.id });
+        showResult(`Restored ${count} messages.`);
+      } catch (err) {
+        showResult(`Restore failed: ${err.message}`, true);
+      }
+      render();
+    },
+    Export: () => runExport(tab.id, { kind: 'thread', format: defaultFormat, snapshotId: snapshot.id }),
+    Compare: () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`diff.html?before=snapshot:${snapshot.id}&after=${encodeURIComponent(key)}`) });
+      window.close();
+    },
+    '×': async () => {
+      if (!confirm(`Delete the snapshot "${describeSnapshot(snapshot)}"?`)) return;
+      try {
+        await callBackground('deleteSnapshot', { id: snapshot.id });
+      } catch (err) {
+        showResult(`Delete failed: ${err.message}`, true);
+      }
+      render();
+    },
+  }));
+
+  document.getElementById('btn-snapshot').onclick = async () => {
+    const name = prompt('Name this snapshot (optional):', '');
+    if (name === null) return;
+    try {
+      await callBackground('createSnapshot', { key, name });
+      showResult('Snapshot saved.');
+    } catch (err) {
+      showResult(`Snapshot failed: ${err.message}`, true);
+    }
+    render();
   };
 
   document.getElementById('btn-clear').onclick = async () => {
-    if (confirm('Clear all captured messages for this thread?')) {
-      await clearMessages(tab.url);
-      sendToContent(tab.id, 'clearMessages');
+    if (confirm(`Clear all captured messages for this thread? A snapshot is kept for ${SAFETY_SNAPSHOT_DAYS} days, so you can restore them from Snapshots.`)) {
+      try {
+        await clearMessages(tab.url);
+      } catch (err) {
+        showResult(`Clear failed: ${err.message}`, true);
+        return;
+      }
+      // A tab without the content script has nothing in memory to forget
+      chrome.tabs.sendMessage(tab.id, { action: 'clearMessages' }, () => void chrome.runtime.lastError);
       render(); // refresh
     }
   };
-
-  // Disable exports if no messages yet
-  const exportBtns = ['btn-md', 'btn-html', 'btn-json'];
-  exportBtns.forEach(id => {
-    document.getElementById(id).disabled = count === 0;
-  });
 }
 
 render();
@@ -0,0 +1,75 @@
+// print.js — print view: a light, paginated copy of a thread to print or save as PDF
+//
+// Opened by background.js (openPrint) as print.html?request=<JSON>, where
+// the request is { key, snapshotId, selection } like an export's. The
+// document comes from exportPrintHTML() in exporters.js and replaces this
+// page's; the print dialog opens once its images have loaded.
+
+const IMAGE_WAIT_MS = 15000; // print anyway after this, with whatever has loaded
+
+function showStatus(message, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = isError ? 'error' : '';
+}
+
+function imagesLoaded() {
+  const pending = Array.from(document.images)
+    .filter(img => !img.complete)
+    .map(img => new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    }));
+  const timeout = new Promise(resolve => setTimeout(resolve, IMAGE_WAIT_MS));
+  return Promise.race([Promise.all(pending), timeout]);
+}
+
+// Screen-only bar above the document; @media print hides it
+function addToolbar(imagesMissing) {
+  const bar = document.createElement('div');
+  bar.className = 'print-toolbar';
+  Object.assign(bar.style, {
+    position: 'sticky', top: '0', zIndex: '1', display: 'flex', gap: '12px', alignItems: 'center',
+    justifyContent: 'center', padding: '10px', margin: '-24px 0 24px', background: '#1e293b',
+    color: '#e2e8f0', font: '13px system-ui, sans-serif',
+  });
+  const note = document.createElement('span');
+  note.textContent = imagesMissing
+    ? describeMissingImages(imagesMissing)
+    : 'Choose “Save as PDF” as the destination to keep a PDF copy.';
+  const button = document.createElement('button');
+  button.textContent = '🖨 Print / Save as PDF';
+  button.addEventListener('click', () => print());
+  bar.append(note, button);
+
+  const style = document.createElement('style');
+  style.textContent = '@media print { .print-toolbar { display: none !important; } }';
+  document.head.appendChild(style);
+  document.body.prepend(bar);
+}
+
+async function init() {
+  let request;
+  try {
+    request = JSON.parse(new URLSearchParams(location.search).get('request'));
+  } catch {
+    request = null;
+  }
+  if (!request?.key && !request?.snapshotId) {
+    showStatus('Nothing to print: open this page from the Export menu, the popup or the archive.', true);
+    return;
+  }
+
+  try {
+    const { html, imagesMissing } = await callBackground('renderPrint', request);
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    document.replaceChild(document.adoptNode(doc.documentElement), document.documentElement);
+    addToolbar(imagesMissing);
+    await imagesLoaded();
+    print();
+  } catch (err) {
+    showStatus(`Couldn't build the print view: ${err.message}`, true);
+  }
+}
+
+init();
@@ -0,0 +1,98 @@
+// sanitize.js — allowlist HTML sanitizer for captured message markup
+//
+// Exports embed `contentHtml` captured from the page, so anything outside
+// the markup Lovable actually renders (prose, code, lists, links, tables)
+// is stripped before it lands in a file someone else will open. Parsing
+// goes through DOMParser, which never runs scripts or loads resources.
+
+const SANITIZE_ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'div', 'span',
+  'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'small', 'sub', 'sup',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'blockquote', 'pre', 'code', 'kbd', 'samp',
+  'ul', 'ol', 'li', 'input',
+  'a', 'img',
+  'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+]);
+
+// Removed together with their content; anything else unknown is unwrapped
+const SANITIZE_DROPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'applet', 'link', 'meta', 'base', 'form', 'button', 'select', 'textarea', 'svg', 'math',
+]);
+
+const SANITIZE_ALLOWED_ATTRS = {
+  '*': ['title'],
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  ol: ['start'],
+  td: ['colspan', 'rowspan', 'align'],
+  th: ['colspan', 'rowspan', 'align', 'scope'],
+  col: ['span'],
+  input: ['type', 'checked'],
+};
+
+function isSafeUrl(value, { allowImageData = false } = {}) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const url = value.replace(/[\u0000-\u0020\u007f-\u009f]+/g, '').toLowerCase();
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/)?.[1];
+  if (!scheme) return true; // relative URL or fragment
+  if (['http', 'https', 'mailto'].includes(scheme)) return true;
+  return allowImageData && /^data:image\/(png|gif|jpe?g|webp|avif);/.test(url);
+}
+
+function sanitizeAttributes(el, tag) {
+  const allowed = [...SANITIZE_ALLOWED_ATTRS['*'], ...(SANITIZE_ALLOWED_ATTRS[tag] || [])];
+
+  Array.from(el.attributes).forEach(attr => {
+    const name = attr.name.toLowerCase();
+    if (name === 'class') {
+      // Only the code-language hint is meaningful outside Lovable's stylesheet
+      const lang = attr.value.split(/\s+/).filter(c => /^language-[\w+#-]+$/.test(c));
+      if (lang.length) el.setAttribute('class', lang.join(' '));
+      else el.removeAttribute('class');
+      return;
+    }
+    if (!allowed.includes(name)) { el.removeAttribute(attr.name); return; }
+    if ((name === 'href' || name === 'src') && !isSafeUrl(attr.value, { allowImageData: tag === 'img' })) {
+      el.removeAttribute(attr.name);
+    }
+  });
+
+  if (tag === 'a' && el.hasAttribute('href')) el.setAttribute('rel', 'noopener noreferrer');
+  if (tag === 'input') el.setAttribute('disabled', '');
+}
+
+function sanitizeChildren(parent) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) { node.remove(); return; }
+
+    const tag = node.tagName.toLowerCase();
+    if (SANITIZE_DROPPED_TAGS.has(tag)) { node.remove(); return; }
+    // Task-list checkboxes are the only form control worth keeping
+    if (tag === 'input' && (node.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+      node.remove();
+      return;
+    }
+
+    sanitizeChildren(node);
+
+    if (SANITIZE_ALLOWED_TAGS.has(tag)) sanitizeAttributes(node, tag);
+    else node.replaceWith(...node.childNodes);
+  });
+}
+
+/**
+ * Parses `html` into an inert document and returns its sanitized <body>.
+ * Use this when the caller wants to walk the tree (e.g. htmlToMarkdown).
+ */
+function sanitizeToElement(html) {
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html || ''}</body>`, 'text/html');
+  sanitizeChildren(doc.body);
+  return doc.body;
+}
+
+function sanitizeHtml(html) {
+  return sanitizeToElement(html).innerHTML;
+}
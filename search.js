@@ -0,0 +1,108 @@
+// search.js — full-text search page; the index and ranking live in fulltext.js (background.js)
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+let searchTimer = null;
+let searchRun = 0; // ignores replies to queries that have since changed
+
+function showNotice(message, isError = false) {
+  const notice = document.getElementById('notice');
+  notice.textContent = message;
+  notice.className = isError ? 'notice error' : 'notice';
+  notice.style.display = 'block';
+}
+
+// ── Render ────────────────────────────────────────────────────────────
+
+// Snippet text with <mark> around each highlight range, built from text nodes
+function renderSnippet({ text, highlights }) {
+  const el = document.createElement('div');
+  el.className = 'snippet';
+  let pos = 0;
+  highlights.forEach(([start, end]) => {
+    el.append(text.slice(pos, start));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    el.appendChild(mark);
+    pos = end;
+  });
+  el.append(text.slice(pos));
+  return el;
+}
+
+function createHitRow(hit) {
+  const row = document.createElement('div');
+  row.className = 'hit';
+
+  const info = document.createElement('div');
+  info.className = 'info';
+
+  const title = document.createElement('div');
+  title.className = 'title';
+  title.textContent = hit.title || hit.path || 'Unknown thread';
+
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const role = document.createElement('span');
+  role.className = 'role';
+  role.textContent = hit.role === 'user' ? 'You' : 'AI';
+  meta.append(role, ...[hit.timestampText, hit.path].filter(Boolean).map(part => ` · ${part}`));
+
+  info.append(title, meta, renderSnippet(hit.snippet));
+
+  const open = document.createElement('button');
+  open.type = 'button';
+  open.className = 'small';
+  open.textContent = 'Open thread';
+  open.disabled = !hit.url;
+  open.addEventListener('click', () => chrome.tabs.create({ url: hit.url }));
+
+  row.append(info, open);
+  return row;
+}
+
+function renderHits({ hits, total }, query) {
+  document.getElementById('summary').textContent = query
+    ? `${total} result${total === 1 ? '' : 's'}${total > hits.length ? `, showing the best ${hits.length}` : ''}`
+    : 'Every message you\'ve captured, across all projects';
+  document.getElementById('hits').replaceChildren(...hits.map(createHitRow));
+
+  const empty = document.getElementById('empty');
+  empty.style.display = query && !hits.length ? 'block' : 'none';
+  empty.textContent = 'No messages match. Try fewer words, or check the role filter.';
+}
+
+// ── Search ────────────────────────────────────────────────────────────
+
+async function runSearch() {
+  const query = document.getElementById('query').value.trim();
+  const role = document.getElementById('role').value;
+  const run = ++searchRun;
+  document.getElementById('notice').style.display = 'none';
+
+  if (!query) {
+    renderHits({ hits: [], total: 0 }, '');
+    return;
+  }
+  try {
+    const result = await callBackground('search', { query, role });
+    if (run === searchRun) renderHits(result, query);
+  } catch (err) {
+    if (run === searchRun) showNotice(`Search failed: ${err.message}`, true);
+  }
+}
+
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+}
+
+document.getElementById('query').addEventListener('input', scheduleSearch);
+document.getElementById('role').addEventListener('change', runSearch);
+
+// The archive page passes its filter text along: search.html?q=…
+const initialQuery = new URLSearchParams(location.search).get('q');
+if (initialQuery) {
+  document.getElementById('query').value = initialQuery;
+  runSearch();
+}
@@ -0,0 +1,211 @@
+// selectors.js — where capture finds things in Lovable's page
+//
+// Every selector content.js relies on lives in SELECTOR_STRATEGIES. Each
+// field lists strategies in order: first what Lovable renders today, then
+// looser selectors and finally heuristics that don't depend on class
+// names. The first strategy that finds something wins, and which one it
+// was is remembered so a drift report can say which fields fell back.
+// Bump SELECTORS_VERSION whenever the table changes.
+
+const SELECTORS_VERSION = 1;
+
+// ── Helpers ───────────────────────────────────────────────────────────
+
+const selectOne = selector => root => root.querySelector(selector);
+const selectAll = selector => root => Array.from(root.querySelectorAll(selector));
+
+// Drops matches nested inside other matches, so loose selectors don't
+// return a block and its children
+function outermost(elements) {
+  return elements.filter(el => !elements.some(other => other !== el && other.contains(el)));
+}
+
+function isScrollable(el, slack = 0) {
+  return !!el && el.scrollHeight > el.clientHeight + slack;
+}
+
+// Date and time are separate spans; the time follows the date
+function dateAndTime(dateEl) {
+  if (!dateEl) return '';
+  const timeEl = dateEl.nextElementSibling;
+  return [dateEl.textContent.trim(), timeEl?.textContent.trim()].filter(Boolean).join(' ');
+}
+
+const TIME_PATTERN = /^\d{1,2}:\d{2}(?::\d{2})?(?:\s?[ap]\.?m\.?)?$/i;
+
+// A leaf element that reads like a clock time, plus a short date-like
+// leaf just before it
+function timeLikeText(root) {
+  const leaves = Array.from(root.querySelectorAll('span, div, p, time'))
+    .filter(el => !el.children.length && !el.closest('button'));
+  const timeEl = leaves.find(el => TIME_PATTERN.test(el.textContent.trim()));
+  if (!timeEl) return '';
+  const dateEl = timeEl.previousElementSibling;
+  const date = dateEl && !dateEl.children.length && dateEl.textContent.trim().length <= 20 ? dateEl.textContent.trim() : '';
+  return [date, timeEl.textContent.trim()].filter(Boolean).join(' ');
+}
+
+// Characters of text in an element, leaving out button labels and
+// whitespace (indentation between tags would otherwise count as text)
+function visibleTextLength(el) {
+  return el.textContent.replace(/\s+/g, '').length;
+}
+
+function textOutsideButtons(el) {
+  const buttons = Array.from(el.querySelectorAll('button'))
+    .reduce((n, btn) => n + visibleTextLength(btn), 0);
+  return visibleTextLength(el) - buttons;
+}
+
+// The innermost element holding most of the message's text, skipping
+// buttons (copy actions, thought and tool panels)
+function largestTextBlock(root) {
+  const total = textOutsideButtons(root);
+  if (total <= 0) return null;
+  let block = root;
+  for (;;) {
+    const next = Array.from(block.children)
+      .find(child => child.tagName !== 'BUTTON' && textOutsideButtons(child) >= total * 0.8);
+    if (!next) return block;
+    block = next;
+  }
+}
+
+// Images worth keeping: not icons or avatars, which render tiny
+function contentImages(root) {
+  return selectAll('img[src]')(root).filter(img => {
+    const size = Math.max(img.naturalWidth || 0, Number(img.getAttribute('width')) || 0);
+    return !img.closest('button') && (!size || size > 32);
+  });
+}
+
+// One line, spaces allowed inside ("Screen Shot 2026-10-18 at 10.41.22.png").
+// The extension must be one attachments.js knows, so labels such as
+// "Thought for 3.5s" never qualify; tool rows like "Edited README.md" sit
+// in panels, which parseAttachments() leaves out.
+const FILE_NAME_PATTERN = /^[^\s\\/:*?"<>|](?:[^\r\n\\/:*?"<>|]{0,118}[^\s\\/:*?"<>|])?\.([a-z0-9]{1,8})$/i;
+
+// Small elements outside buttons whose whole text is a file name:
+// "report.pdf", "Screen Shot 2026-10-18 at 10.41.22.png"
+function fileNameChips(root) {
+  return Array.from(root.querySelectorAll('span, div, a, p'))
+    .filter(el => {
+      if (el.children.length > 2 || el.closest('button, [role="button"]')) return false;
+      const ext = el.textContent.trim().match(FILE_NAME_PATTERN)?.[1].toLowerCase();
+      return !!ext && Object.hasOwn(MIME_TYPES, ext);
+    });
+}
+
+// The deepest element that scrolls vertically
+function deepestScrollable(root) {
+  let deepest = null;
+  root.querySelectorAll('*').forEach(el => {
+    if (isScrollable(el, 50) && (!deepest || el.contains(deepest))) deepest = el;
+  });
+  return deepest;
+}
+
+// ── Strategy table ────────────────────────────────────────────────────
+// `find(root)` returns an element, a list of elements or text; null, ''
+// and [] mean "not found, try the next one".
+
+const SELECTOR_STRATEGIES = {
+  // document → message elements
+  messages: [
+    { name: 'data-message-id', find: selectAll('[data-message-id]') },
+  ],
+  // user message → its text block
+  userContent: [
+    { name: 'prompt box prose', find: selectOne('.PromptBox_customProse__le_d3') },
+    { name: 'prompt box prose (any build)', find: selectOne('[class*="PromptBox_customProse"]') },
+    { name: 'prose', find: selectOne('.prose') },
+    { name: 'largest text block', find: largestTextBlock },
+  ],
+  // AI message → its prose blocks (thought and tool panels are removed by the caller)
+  aiContent: [
+    { name: 'prose', find: selectAll('.prose') },
+    { name: 'prose-like class', find: root => outermost(selectAll('[class*="prose"], [class*="markdown"]')(root)) },
+    { name: 'largest text block', find: root => [largestTextBlock(root)].filter(Boolean) },
+  ],
+  // message → "date time" text
+  timestamp: [
+    { name: 'muted date span', find: root => dateAndTime(root.querySelector('.text-muted-foreground.font-medium')) },
+    { name: 'time element', find: root => root.querySelector('time')?.textContent.trim() },
+    { name: 'time-like text', find: timeLikeText },
+  ],
+  // message → code blocks, which some replies render outside the prose
+  codeBlocks: [
+    { name: 'pre', find: selectAll('pre') },
+  ],
+  // message → images, in the text or attached to a prompt
+  images: [
+    { name: 'img', find: contentImages },
+  ],
+  // message → attached file chips (the caller drops anything inside the text or tool panels)
+  fileChips: [
+    { name: 'attachment attribute', find: selectAll('[data-attachment], [data-file-name]') },
+    { name: 'download link', find: selectAll('a[download]') },
+    { name: 'file-name text', find: root => outermost(fileNameChips(root)) },
+  ],
+  // thought / tools button → its label
+  triggerLabel: [
+    { name: 'truncated label', find: selectOne('.truncate') },
+    { name: 'button text', find: btn => btn },
+  ],
+  // document → the element the Export button goes into
+  navContainer: [
+    { name: 'main menu parent', find: root => root.querySelector('#main-menu')?.parentElement },
+    { name: 'nav actions row', find: selectOne('nav div.flex.shrink-0.items-center.gap-2') },
+    { name: 'nav', find: selectOne('header nav, nav') },
+  ],
+  // nav container → the icon group the button is placed first in
+  navIcons: [
+    { name: 'reversed icon row', find: selectOne('.flex.flex-row-reverse') },
+  ],
+  // document → the chat's scrolling list
+  scrollContainer: [
+    { name: 'overflow-y-auto', find: root => [root.querySelector('[class*="overflow-y-auto"]')].find(isScrollable) },
+    { name: 'overflow-y-scroll', find: root => [root.querySelector('[class*="overflow-y-scroll"]')].find(isScrollable) },
+    { name: 'main', find: root => [root.querySelector('main')].find(isScrollable) },
+    { name: 'deepest scrollable', find: deepestScrollable },
+  ],
+};
+
+// ── Lookup ────────────────────────────────────────────────────────────
+
+const LIST_FIELDS = new Set(['messages', 'aiContent', 'codeBlocks', 'images', 'fileChips']);
+// Most messages have none of these, so finding nothing isn't drift
+const OPTIONAL_FIELDS = new Set(['codeBlocks', 'images', 'fileChips']);
+
+const selectorUsage = {}; // field → name of the strategy that last matched, or null
+
+function isFound(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Runs a field's strategies against `root` and returns the first result
+ * found, or null ([] for list fields) when none match.
+ */
+function findField(field, root = document) {
+  const strategies = SELECTOR_STRATEGIES[field];
+  for (const strategy of strategies) {
+    const value = strategy.find(root);
+    if (isFound(value)) {
+      selectorUsage[field] = strategy.name;
+      return value;
+    }
+  }
+  selectorUsage[field] = null;
+  return LIST_FIELDS.has(field) ? [] : null;
+}
+
+/**
+ * Fields whose last lookup needed a fallback or found nothing:
+ * [{ field, strategy }] with `strategy` null for nothing found.
+ */
+function selectorDrift() {
+  return Object.entries(selectorUsage)
+    .filter(([field, name]) => !OPTIONAL_FIELDS.has(field) && name !== SELECTOR_STRATEGIES[field][0].name)
+    .map(([field, strategy]) => ({ field, strategy }));
+}
@@ -0,0 +1,148 @@
+// settings.js — user preferences stored in chrome.storage.sync
+//
+// Every context that needs a preference reads getSettings(), which is
+// loaded at startup and refreshed whenever the options page saves.
+// Stored values that fail validation fall back to their defaults.
+
+const SETTINGS_KEY = 'lce_settings';
+
+const DEFAULT_SETTINGS = {
+  filenamePattern: 'lovable-{title}-{date}', // tokens in downloads.js; extension is appended
+  downloadSubfolder: '',  // inside the Downloads folder, same tokens; empty saves there directly
+  saveAs: false,          // ask where to save every download
+  saveDebounceMs: 400,    // delay before captured messages are written to storage
+  scrollWaitMs: 600,      // starting wait per scroll; capture adapts it to the real render time
+  stableRounds: 3,        // scrolls without new messages before capture stops
+  defaultFormat: 'md',    // used by "Quick export"
+  storageEviction: 'revisions', // what goes when storage fills up (see evictStorage() in threads.js)
+  snapshotIntervalHours: 24,  // automatic snapshot of changed threads; 0 turns it off
+  snapshotEveryMessages: 50,  // automatic snapshot after this many new messages; 0 turns it off
+  timeZone: '',           // IANA name for times in Markdown / HTML exports; empty uses the browser's
+  inlineImages: false,    // HTML exports embed images as data: URIs
+  bundleImages: false,    // Markdown exports become a ZIP with the images next to the .md
+  obsidianNotes: 'thread', // Obsidian export: one note per thread, or one per exchange (a ZIP)
+  obsidianTags: 'lovable', // frontmatter tags on Obsidian notes, separated by spaces or commas
+};
+
+const SETTINGS_FORMATS = ['md', 'html', 'json'];
+const EVICTION_POLICIES = ['off', 'revisions', 'threads'];
+const OBSIDIAN_LAYOUTS = ['thread', 'exchange'];
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Obsidian tags: letters, digits, _ - and / for nesting, not only digits
+function obsidianTagList(value) {
+  return value.split(/[\s,]+/).map(tag => tag.replace(/^#/, '')).filter(Boolean);
+}
+
+function isObsidianTag(tag) {
+  return /^[\p{L}\p{N}_/-]+$/u.test(tag) && !/^\d+$/.test(tag);
+}
+
+function integerRule(min, max) {
+  return value => (Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : `must be a whole number between ${min} and ${max}`);
+}
+
+// Each rule returns an error message, or null when the value is valid
+const SETTINGS_RULES = {
+  filenamePattern: value => (typeof value === 'string' && value.trim() && value.length <= 200
+    ? null
+    : 'must be 1–200 characters'),
+  downloadSubfolder: value => (typeof value === 'string' && value.length <= 200 ? null : 'must be at most 200 characters'),
+  saveAs: value => (typeof value === 'boolean' ? null : 'must be on or off'),
+  saveDebounceMs: integerRule(50, 10000),
+  scrollWaitMs: integerRule(100, 10000),
+  stableRounds: integerRule(1, 20),
+  defaultFormat: value => (SETTINGS_FORMATS.includes(value) ? null : `must be one of ${SETTINGS_FORMATS.join(', ')}`),
+  storageEviction: value => (EVICTION_POLICIES.includes(value) ? null : `must be one of ${EVICTION_POLICIES.join(', ')}`),
+  snapshotIntervalHours: integerRule(0, 720),
+  snapshotEveryMessages: integerRule(0, 5000),
+  timeZone: value => (typeof value === 'string' && (!value || isTimeZone(value))
+    ? null
+    : 'must be a time zone such as Europe/Paris, or empty for this browser\'s'),
+  inlineImages: value => (typeof value === 'boolean' ? null : 'must be on or off'),
+  bundleImages: value => (typeof value === 'boolean' ? null : 'must be on or off'),
+  obsidianNotes: value => (OBSIDIAN_LAYOUTS.includes(value) ? null : `must be one of ${OBSIDIAN_LAYOUTS.join(', ')}`),
+  obsidianTags: value => (typeof value === 'string' && value.length <= 200 && obsidianTagList(value).every(isObsidianTag)
+    ? null
+    : 'must be tags made of letters, digits, _ - and /, separated by spaces or commas'),
+};
+
+let activeSettings = { ...DEFAULT_SETTINGS };
+
+function getSettings() {
+  return activeSettings;
+}
+
+/**
+ * Checks `raw` against SETTINGS_RULES. Returns { settings, errors } where
+ * invalid or missing fields take their default and are listed in `errors`
+ * (missing fields are not errors).
+ */
+function validateSettings(raw = {}) {
+  const settings = { ...DEFAULT_SETTINGS };
+  const errors = {};
+  Object.keys(DEFAULT_SETTINGS).forEach(name => {
+    if (raw[name] === undefined) return;
+    const error = SETTINGS_RULES[name](raw[name]);
+    if (error) errors[name] = error;
+    else settings[name] = raw[name];
+  });
+  return { settings, errors };
+}
+
+// ── Storage ───────────────────────────────────────────────────────────
+
+async function loadSettings() {
+  const stored = await new Promise(resolve => chrome.storage.sync.get([SETTINGS_KEY], resolve));
+  const { settings, errors } = validateSettings(stored[SETTINGS_KEY]);
+  Object.entries(errors).forEach(([name, error]) => {
+    console.warn(`[Lovable Exporter] Ignoring stored ${name}: ${error}`);
+  });
+  activeSettings = settings;
+  return settings;
+}
+
+/**
+ * Validates and stores `raw`. Rejects with the field errors instead of
+ * saving when anything is invalid.
+ */
+async function saveSettings(raw) {
+  const { settings, errors } = validateSettings(raw);
+  if (Object.keys(errors).length) {
+    const err = new Error('Some settings are invalid');
+    err.fields = errors;
+    throw err;
+  }
+  await new Promise(resolve => chrome.storage.sync.set({ [SETTINGS_KEY]: settings }, resolve));
+  activeSettings = settings;
+  return settings;
+}
+
+async function resetSettings() {
+  await new Promise(resolve => chrome.storage.sync.remove([SETTINGS_KEY], resolve));
+  return loadSettings();
+}
+
+// The offscreen document has no chrome.storage; background.js sends it the
+// current settings with each request instead
+function useSettings(raw) {
+  activeSettings = validateSettings(raw).settings;
+}
+
+// Every page keeps its copy current, so callers just read getSettings() when they need a value
+if (chrome.storage) {
+  loadSettings();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[SETTINGS_KEY]) loadSettings();
+  });
+}
@@ -0,0 +1,191 @@
+// snapshots.js — frozen copies of threads, kept in the extension's IndexedDB
+//
+// Runs in background.js. Snapshots live outside chrome.storage.local, so
+// they don't count against its quota. Each one is a summary
+//
+//   { id, threadKey, kind, name, createdAt, path, url, title, count }
+//
+// plus its messages, stored separately so listing snapshots stays cheap.
+// `kind` is 'auto' (schedule or new-message count, see the settings),
+// 'manual' (taken from the popup), 'clear' (taken before the thread was
+// cleared or deleted), 'evict' (taken before storage eviction deleted it,
+// see evictStorage()) or 'restore' (the version a restore replaced).
+// 'auto' snapshots are pruned, keeping the newest MAX_AUTO_SNAPSHOTS per
+// thread. 'clear' and 'evict' ones are there to undo a removal, so they
+// expire after SAFETY_SNAPSHOT_DAYS (threads.js); the rest stay until deleted.
+
+const SNAPSHOT_DB_NAME    = 'lce_snapshots';
+const SNAPSHOT_DB_VERSION = 1;
+const SNAPSHOT_STORE      = 'snapshots';
+const SNAPSHOT_MESSAGES   = 'snapshotMessages';
+const MAX_AUTO_SNAPSHOTS  = 10;
+const SAFETY_SNAPSHOT_KINDS = new Set(['clear', 'evict']);
+const SNAPSHOT_ALARM      = 'lce-snapshots';
+const SNAPSHOT_ALARM_MINUTES = 60;
+
+function openSnapshotDb() {
+  return openDatabase(SNAPSHOT_DB_NAME, SNAPSHOT_DB_VERSION, db => {
+    const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('thread', 'threadKey');
+    db.createObjectStore(SNAPSHOT_MESSAGES);
+  });
+}
+
+async function snapshotTransaction(mode) {
+  const db = await openSnapshotDb();
+  const tx = db.transaction([SNAPSHOT_STORE, SNAPSHOT_MESSAGES], mode);
+  return { tx, summaries: tx.objectStore(SNAPSHOT_STORE), messages: tx.objectStore(SNAPSHOT_MESSAGES) };
+}
+
+// ── Reading ───────────────────────────────────────────────────────────
+
+/** Summaries for one thread (or every thread without a key), newest first. */
+async function listSnapshots(threadKey) {
+  const { summaries } = await snapshotTransaction('readonly');
+  const all = threadKey
+    ? await idbResult(summaries.index('thread').getAll(threadKey))
+    : await idbResult(summaries.getAll());
+  return all.sort((a, b) => b.id - a.id);
+}
+
+async function latestSnapshot(threadKey) {
+  const { summaries } = await snapshotTransaction('readonly');
+  const cursor = await idbResult(summaries.index('thread').openCursor(IDBKeyRange.only(threadKey), 'prev'));
+  return cursor ? cursor.value : null;
+}
+
+/** A snapshot in the shape of loadThreadData(): summary fields plus `messages`. */
+async function getSnapshot(id) {
+  const { summaries, messages } = await snapshotTransaction('readonly');
+  const [summary, stored] = await Promise.all([idbResult(summaries.get(id)), idbResult(messages.get(id))]);
+  if (!summary) throw new Error('That snapshot no longer exists.');
+  return { ...summary, key: summary.threadKey, messages: stored || [] };
+}
+
+// ── Writing ───────────────────────────────────────────────────────────
+
+/**
+ * Freezes the stored thread. Resolves to the new summary, or null when
+ * the thread has no messages.
+ */
+async function createSnapshot(threadKey, { kind = 'manual', name = '' } = {}) {
+  const { messages, path, url, title } = await loadThreadData(threadKey);
+  if (!messages.length) return null;
+
+  const summary = {
+    threadKey,
+    kind,
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+    path,
+    url,
+    title,
+    count: messages.length,
+  };
+  const store = await snapshotTransaction('readwrite');
+  summary.id = await idbResult(store.summaries.add(summary));
+  store.messages.put(messages, summary.id);
+  await idbDone(store.tx);
+
+  if (kind === 'auto') await pruneAutoSnapshots(threadKey);
+  return summary;
+}
+
+async function deleteSnapshot(id) {
+  const { tx, summaries, messages } = await snapshotTransaction('readwrite');
+  summaries.delete(id);
+  messages.delete(id);
+  await idbDone(tx);
+}
+
+/** Deletes every snapshot of a thread, or of every thread without a key. Resolves to the count. */
+async function deleteSnapshots(threadKey) {
+  const snapshots = await listSnapshots(threadKey);
+  for (const snapshot of snapshots) await deleteSnapshot(snapshot.id);
+  return snapshots.length;
+}
+
+async function pruneAutoSnapshots(threadKey) {
+  const auto = (await listSnapshots(threadKey)).filter(s => s.kind === 'auto');
+  for (const snapshot of auto.slice(MAX_AUTO_SNAPSHOTS)) await deleteSnapshot(snapshot.id);
+}
+
+async function pruneExpiredSnapshots() {
+  const cutoff = new Date(Date.now() - SAFETY_SNAPSHOT_DAYS * 86400000).toISOString();
+  const expired = (await listSnapshots())
+    .filter(s => SAFETY_SNAPSHOT_KINDS.has(s.kind) && s.createdAt < cutoff);
+  for (const snapshot of expired) await deleteSnapshot(snapshot.id);
+}
+
+/**
+ * Replaces the stored thread with a snapshot. The version being replaced
+ * is snapshotted first, so a restore can itself be undone. The thread is
+ * deleted before it is rewritten so open tabs drop their in-memory copy
+ * (see readMessageChanges()) instead of saving removed messages back.
+ */
+async function restoreSnapshot(id) {
+  const snapshot = await getSnapshot(id);
+  const { threadKey, path, url, title } = snapshot;
+  await createSnapshot(threadKey, { kind: 'restore' });
+  await deleteThread(threadKey);
+  const messagesMap = Object.fromEntries(snapshot.messages.map(m => [m.id, m]));
+  await saveThread(threadKey, messagesMap, { path, url, title });
+  return { threadKey, count: snapshot.messages.length };
+}
+
+// ── Automatic snapshots ───────────────────────────────────────────────
+// Two triggers, both off when their setting is 0: a thread gaining
+// snapshotEveryMessages messages since its last snapshot, and an hourly
+// alarm that snapshots threads changed since their last snapshot once
+// snapshotIntervalHours have passed. The alarm also expires old 'clear'
+// and 'evict' snapshots, whatever the settings.
+
+let snapshotQueue = Promise.resolve();
+
+function queueSnapshotWork(work) {
+  const run = snapshotQueue.then(work);
+  snapshotQueue = run.catch(err => console.warn('[Lovable Exporter] Automatic snapshot failed:', err));
+  return run;
+}
+
+/** Checks thread indexes in a chrome.storage.onChanged batch against snapshotEveryMessages. */
+function snapshotOnGrowth(changes) {
+  const grown = Object.entries(changes)
+    .filter(([key, { newValue }]) => key.startsWith(STORAGE_KEY_PREFIX) && isThreadIndex(newValue));
+  if (!grown.length) return Promise.resolve();
+  return queueSnapshotWork(async () => {
+    const { snapshotEveryMessages } = await loadSettings();
+    if (!snapshotEveryMessages) return;
+    for (const [threadKey, { newValue }] of grown) {
+      const last = await latestSnapshot(threadKey);
+      if (newValue.ids.length - (last?.count || 0) >= snapshotEveryMessages) {
+        await createSnapshot(threadKey, { kind: 'auto' });
+      }
+    }
+  });
+}
+
+function runScheduledSnapshots() {
+  return queueSnapshotWork(async () => {
+    await pruneExpiredSnapshots();
+    const { snapshotIntervalHours } = await loadSettings();
+    if (!snapshotIntervalHours) return;
+    const due = Date.now() - snapshotIntervalHours * 3600000;
+    for (const thread of await listThreads()) {
+      const last = await latestSnapshot(thread.key);
+      const changed = !last || (thread.updatedAt || '') > last.createdAt;
+      if (thread.count && changed && (!last || Date.parse(last.createdAt) <= due)) {
+        await createSnapshot(thread.key, { kind: 'auto' });
+      }
+    }
+  });
+}
+
+function scheduleSnapshots() {
+  chrome.alarms.get(SNAPSHOT_ALARM, alarm => {
+    if (!alarm) chrome.alarms.create(SNAPSHOT_ALARM, { periodInMinutes: SNAPSHOT_ALARM_MINUTES });
+  });
+  chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === SNAPSHOT_ALARM) runScheduledSnapshots();
+  });
+}
@@ -0,0 +1,151 @@
+// templates.js — user-editable templates for the Markdown and HTML exports
+//
+// Templates use {{placeholder}} syntax and live in chrome.storage.sync, one
+// key per field (sync caps each item at 8 KB). The defaults reproduce the
+// original hard-coded output.
+//
+// Thread placeholders:  {{title}} {{url}} {{projectId}} {{exportedAt}} {{exportedDate}}
+//                       {{messageCount}} {{userLabel}} {{aiLabel}}
+// Message placeholders: {{id}} {{role}} {{roleLabel}} {{timestamp}} {{index}}
+//                       {{content}} {{details}}
+//
+// In HTML templates every value is escaped except {{content}} and
+// {{details}}, which are already sanitized markup.
+
+const TEMPLATE_KEY_PREFIX = 'lce_tpl_';
+
+const DEFAULT_TEMPLATES = {
+  userLabel: '👤 You',
+  aiLabel: '🤖 Lovable',
+
+  mdHeader: `# Lovable Chat Export
+> URL: {{url}}
+> Exported: {{exportedAt}}
+> Messages: {{messageCount}}
+
+---
+`,
+  mdMessage: `## {{roleLabel}} — {{timestamp}}
+
+{{details}}{{content}}
+
+---
+`,
+
+  htmlTitle: 'Lovable Chat Export — {{exportedDate}}',
+  htmlHeader: `<h1>💬 Lovable Chat Export</h1>
+  <p class="meta">
+    <strong>URL:</strong> {{url}}<br>
+    <strong>Exported:</strong> {{exportedAt}}<br>
+    <strong>Messages:</strong> {{messageCount}}
+  </p>`,
+  htmlMessage: `
+    <article class="message {{role}}">
+      <header>
+        <span class="role">{{roleLabel}}</span>
+        <span class="ts">{{timestamp}}</span>
+      </header>
+      {{details}}
+      <div class="body">{{content}}</div>
+    </article>`,
+  htmlStylesheet: `*, *::before, *::after { box-sizing: border-box; }
+    body { font-family: system-ui, sans-serif; max-width: 800px; margin: 0 auto; padding: 2rem 1rem; background: #0f1117; color: #e2e8f0; line-height: 1.6; }
+    h1 { font-size: 1.5rem; font-weight: 600; margin-bottom: .25rem; }
+    .meta { color: #94a3b8; font-size: .875rem; margin-bottom: 2rem; }
+    .message { margin-bottom: 1.5rem; border-radius: 12px; overflow: hidden; border: 1px solid #1e293b; }
+    .message header { display: flex; gap: .75rem; align-items: center; padding: .6rem 1rem; background: #1e293b; font-size: .8rem; }
+    .role { font-weight: 600; }
+    .ts { color: #64748b; margin-left: auto; }
+    .message.user header { background: #1a2744; }
+    .message.user .role { color: #60a5fa; }
+    .message.ai header { background: #1a2730; }
+    .message.ai .role { color: #34d399; }
+    .body { padding: 1rem; font-size: .95rem; }
+    .body p:first-child { margin-top: 0; }
+    .body p:last-child { margin-bottom: 0; }
+    code { background: #1e293b; padding: .15em .4em; border-radius: 4px; font-size: .85em; }
+    pre { background: #1e293b; padding: 1rem; border-radius: 8px; overflow: auto; }
+    pre code { background: none; padding: 0; }
+    .details { margin: .75rem 1rem 0; padding: .5rem .75rem; background: #151b26; border: 1px solid #1e293b; border-radius: 8px; font-size: .85rem; }
+    .details summary { cursor: pointer; color: #94a3b8; }
+    .details ul { margin: .5rem 0 0; padding-left: 1.25rem; }
+    .details .thought { margin-top: .5rem; white-space: pre-wrap; color: #cbd5e1; }
+    .body img { max-width: 100%; height: auto; border-radius: 8px; }
+    .attachments { margin-top: .75rem; font-size: .85rem; color: #94a3b8; }
+    .attachments ul { margin: .25rem 0 0; padding-left: 1.25rem; }`,
+};
+
+const TEMPLATE_RAW_HTML_FIELDS = new Set(['content', 'details']);
+
+let activeTemplates = { ...DEFAULT_TEMPLATES };
+
+function getTemplates() {
+  return activeTemplates;
+}
+
+/**
+ * Replaces {{name}} placeholders. Unknown names are left untouched so a
+ * typo shows up in the output instead of silently disappearing.
+ */
+function renderTemplate(template, values, { html = false } = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in values)) return match;
+    const value = String(values[name] ?? '');
+    return html && !TEMPLATE_RAW_HTML_FIELDS.has(name) ? escapeHtml(value) : value;
+  });
+}
+
+// ── Storage ───────────────────────────────────────────────────────────
+
+async function loadTemplates() {
+  const keys = Object.keys(DEFAULT_TEMPLATES).map(name => TEMPLATE_KEY_PREFIX + name);
+  const stored = await new Promise(resolve => chrome.storage.sync.get(keys, resolve));
+
+  const templates = { ...DEFAULT_TEMPLATES };
+  Object.keys(DEFAULT_TEMPLATES).forEach(name => {
+    const value = stored[TEMPLATE_KEY_PREFIX + name];
+    if (typeof value === 'string') templates[name] = value;
+  });
+  activeTemplates = templates;
+  return templates;
+}
+
+// Only fields that differ from the default are stored
+async function saveTemplates(templates) {
+  const toSet = {};
+  const toRemove = [];
+  Object.keys(DEFAULT_TEMPLATES).forEach(name => {
+    const value = templates[name];
+    if (typeof value === 'string' && value !== DEFAULT_TEMPLATES[name]) toSet[TEMPLATE_KEY_PREFIX + name] = value;
+    else toRemove.push(TEMPLATE_KEY_PREFIX + name);
+  });
+
+  await new Promise(resolve => chrome.storage.sync.remove(toRemove, resolve));
+  await new Promise((resolve, reject) => {
+    chrome.storage.sync.set(toSet, () => {
+      // Quota errors (e.g. a template over 8 KB) surface here
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve();
+    });
+  });
+  return loadTemplates();
+}
+
+async function resetTemplates() {
+  const keys = Object.keys(DEFAULT_TEMPLATES).map(name => TEMPLATE_KEY_PREFIX + name);
+  await new Promise(resolve => chrome.storage.sync.remove(keys, resolve));
+  return loadTemplates();
+}
+
+// Used by the offscreen document, which gets templates from background.js
+function useTemplates(templates) {
+  activeTemplates = { ...DEFAULT_TEMPLATES, ...templates };
+}
+
+// Every context with storage access keeps its copy current
+if (chrome.storage) {
+  loadTemplates();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && Object.keys(changes).some(k => k.startsWith(TEMPLATE_KEY_PREFIX))) loadTemplates();
+  });
+}
@@ -0,0 +1,130 @@
+// helpers.js — loads extension scripts into a jsdom window for the tests
+//
+// The extension has no build step: every script shares one global scope,
+// the way the manifest and the HTML pages load them. loadScripts() does
+// the same inside jsdom, so tests call the real functions unchanged.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Returns a jsdom window holding `html` with the given extension scripts
+ * (paths relative to the repo root) evaluated in it, in order.
+ */
+function loadScripts(files, { html = '<!DOCTYPE html><html><body></body></html>', url = 'https://lovable.dev/', chrome = {} } = {}) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  window.chrome = chrome;
+  // Web APIs jsdom doesn't implement; Node's own behave the same
+  Object.assign(window, { CompressionStream, DecompressionStream, Response, TextEncoder, TextDecoder });
+  // Each file runs as its own classic script, so top-level consts are
+  // shared between them the way they are between <script> tags
+  const context = dom.getInternalVMContext();
+  files.forEach(file => {
+    const filename = path.join(ROOT, file);
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+  });
+  return window;
+}
+
+/**
+ * The fixture names in `dir` that have a file for every extension in
+ * `exts`, e.g. fixtureNames('markdown', ['.html', '.md']).
+ */
+function fixtureNames(dir, exts) {
+  const files = new Set(fs.readdirSync(path.join(FIXTURES, dir)));
+  return [...files]
+    .filter(file => file.endsWith(exts[0]))
+    .map(file => file.slice(0, -exts[0].length))
+    .filter(name => exts.every(ext => files.has(name + ext)))
+    .sort();
+}
+
+/**
+ * The chrome.* APIs content scripts use, backed by plain objects:
+ * storage.local, storage.sync and runtime messaging. `sendToTab(msg)`
+ * delivers a message the way the popup would and resolves to the reply;
+ * `disconnect()` stops delivering anything, before the window closes.
+ */
+function chromeStub() {
+  const changeListeners = [];
+  const messageListeners = [];
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  // The extension passes callbacks; the promise form is there for getKeys()
+  const callbackOrPromise = fn => (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const result = fn(...args);
+    if (!callback) return result;
+    result.then(callback);
+  };
+
+  const area = (name, data) => ({
+    QUOTA_BYTES: 10485760,
+    get: callbackOrPromise(async keys => {
+      if (keys == null) return copy(data);
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const defaults = Array.isArray(keys) || typeof keys === 'string' ? {} : keys;
+      return Object.fromEntries(list
+        .map(key => [key, key in data ? copy(data[key]) : defaults[key]])
+        .filter(([, value]) => value !== undefined));
+    }),
+    async getKeys() {
+      return Object.keys(data);
+    },
+    set: callbackOrPromise(async items => {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: copy(value) };
+        data[key] = copy(value);
+      });
+      setTimeout(() => changeListeners.forEach(listener => listener(changes, name)));
+    }),
+    remove: callbackOrPromise(async keys => {
+      const changes = {};
+      [].concat(keys).filter(key => key in data).forEach(key => {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      setTimeout(() => changeListeners.forEach(listener => listener(changes, name)));
+    }),
+    getBytesInUse: callbackOrPromise(async keys => {
+      const list = keys == null ? Object.keys(data) : [].concat(keys);
+      return list.filter(key => key in data)
+        .reduce((n, key) => n + key.length + JSON.stringify(data[key]).length, 0);
+    }),
+  });
+
+  return {
+    storage: {
+      local: area('local', {}),
+      sync: area('sync', {}),
+      onChanged: { addListener: listener => changeListeners.push(listener) },
+    },
+    runtime: {
+      lastError: undefined,
+      onMessage: { addListener: listener => messageListeners.push(listener) },
+      sendMessage: (msg, callback) => callback?.(),
+      getURL: file => `chrome-extension://test/${file}`,
+    },
+    sendToTab(msg) {
+      return new Promise(resolve => {
+        messageListeners.forEach(listener => listener(msg, {}, resolve));
+      });
+    },
+    disconnect() {
+      changeListeners.length = 0;
+      messageListeners.length = 0;
+    },
+  };
+}
+
+function readFixture(dir, file) {
+  return fs.readFileSync(path.join(FIXTURES, dir, file), 'utf8');
+}
+
+module.exports = { loadScripts, chromeStub, fixtureNames, readFixture };
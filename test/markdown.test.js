@@ -0,0 +1,18 @@
+// markdown.test.js — htmlToMarkdown against captured message markup
+//
+// Each fixtures/markdown/<name>.html is a message's contentHtml as capture
+// stores it; <name>.md is the Markdown exports should write for it. To
+// cover a new case, add both files.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, fixtureNames, readFixture } = require('./helpers');
+
+const window = loadScripts(['sanitize.js', 'markdown.js']);
+
+for (const name of fixtureNames('markdown', ['.html', '.md'])) {
+  test(`htmlToMarkdown: ${name}`, () => {
+    const expected = readFixture('markdown', `${name}.md`).replace(/\n$/, '');
+    assert.equal(window.htmlToMarkdown(readFixture('markdown', `${name}.html`)), expected);
+  });
+}
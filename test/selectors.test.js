@@ -0,0 +1,80 @@
+// selectors.test.js — capture against saved Lovable pages
+//
+// Each fixtures/pages/<name>.html is a chat page as Lovable rendered it at
+// some point, and <name>.json lists its messages and which strategy in
+// selectors.js should find each field. When Lovable changes its markup,
+// save the new page next to the old ones: every version must keep
+// yielding each message's text, timestamp and role.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const manifest = require('../manifest.json');
+const { loadScripts, chromeStub, fixtureNames, readFixture } = require('./helpers');
+
+const PAGE_URL = 'https://lovable.dev/projects/0b7e4c2a-fixture';
+const CONTENT_SCRIPTS = manifest.content_scripts[0].js;
+const SELECTOR_SCRIPTS = CONTENT_SCRIPTS.filter(file => file !== 'content.js');
+
+// Polls `check` until it returns something truthy
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the capture');
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+for (const name of fixtureNames('pages', ['.html', '.json'])) {
+  const html = readFixture('pages', `${name}.html`);
+  const expected = JSON.parse(readFixture('pages', `${name}.json`));
+
+  test(`findField: ${name}`, t => {
+    const window = loadScripts(SELECTOR_SCRIPTS, { html, url: PAGE_URL, chrome: chromeStub() });
+    t.after(() => window.close());
+    const usage = window.eval('selectorUsage');
+
+    const elements = window.findField('messages');
+    assert.deepEqual([...elements].map(el => el.getAttribute('data-message-id')), expected.messages.map(m => m.id));
+
+    elements.forEach((el, i) => {
+      const message = expected.messages[i];
+      const field = message.role === 'user' ? 'userContent' : 'aiContent';
+      assert.ok(window.isFound(window.findField(field, el)), `${message.id}: no ${field}`);
+      assert.equal(usage[field], expected.strategies[field], `${message.id}: ${field} strategy`);
+      assert.equal(window.findField('timestamp', el), message.timestampText, `${message.id}: timestamp`);
+      assert.equal(usage.timestamp, expected.strategies.timestamp, `${message.id}: timestamp strategy`);
+    });
+  });
+
+  test(`parseMessageElement: ${name}`, async t => {
+    const chrome = chromeStub();
+    const window = loadScripts(CONTENT_SCRIPTS, { html, url: PAGE_URL, chrome });
+    t.after(async () => {
+      // Closing tears the page down under content.js's observers; empty it
+      // first and let them, and any queued storage events, settle
+      chrome.disconnect();
+      window.document.body.replaceChildren();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      window.close();
+    });
+    const threadKey = window.getThreadKeyForPath(new URL(PAGE_URL).pathname);
+
+    // content.js starts capturing shortly after load; saveNow is how the popup flushes it
+    const captured = await waitFor(async () => {
+      await chrome.sendToTab({ action: 'saveNow' });
+      const messages = await window.loadThread(threadKey);
+      return Object.keys(messages).length ? messages : null;
+    });
+
+    assert.deepEqual(Object.keys(captured).sort(), expected.messages.map(m => m.id).sort());
+    expected.messages.forEach(message => {
+      const parsed = captured[message.id];
+      assert.equal(parsed.role, message.role, `${message.id}: role`);
+      assert.equal(parsed.timestampText, message.timestampText, `${message.id}: timestamp text`);
+      assert.ok(parsed.timestamp, `${message.id}: timestamp not parsed`);
+      assert.equal(parsed.contentText, message.contentText, `${message.id}: text`);
+    });
+  });
+}
@@ -0,0 +1,100 @@
+// threaddiff.js — compares two versions of a thread, matching messages by id
+//
+// Either side can be the stored thread, a snapshot or the messages of a JSON
+// export (see parseExportFile() in importer.js); both are arrays in
+// conversation order.
+
+const MAX_DIFF_CELLS = 1000000; // LCS table size before a change is shown as one replacement
+
+// ── Text ──────────────────────────────────────────────────────────────
+
+// Words and the whitespace between them, so joining the tokens restores the text
+function diffTokens(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+function pushOp(ops, op, text) {
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) last.text += text;
+  else if (text) ops.push({ op, text });
+}
+
+/**
+ * Word-level diff of two strings: [{ op: 'same' | 'add' | 'del', text }].
+ * The common start and end are trimmed first; what's left is compared
+ * with a longest-common-subsequence table, or shown as a single
+ * replacement when that table would pass MAX_DIFF_CELLS.
+ */
+function diffText(before, after) {
+  const a = diffTokens(before);
+  const b = diffTokens(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = [];
+  pushOp(ops, 'same', a.slice(0, start).join(''));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+    pushOp(ops, 'del', midA.join(''));
+    pushOp(ops, 'add', midB.join(''));
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..], flattened
+    const width = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        pushOp(ops, 'same', midA[i]);
+        i++; j++;
+      } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        pushOp(ops, 'del', midA[i++]);
+      } else {
+        pushOp(ops, 'add', midB[j++]);
+      }
+    }
+  }
+
+  pushOp(ops, 'same', a.slice(endA).join(''));
+  return ops;
+}
+
+// ── Threads ───────────────────────────────────────────────────────────
+
+/**
+ * Compares two message lists by id. Returns
+ * { added, removed, changed: [{ before, after, diff }], unchanged } where
+ * `unchanged` is a count. A message counts as changed when its contentText
+ * differs. Added and changed messages keep the order of `after`, removed
+ * ones the order of `before`.
+ */
+function diffThreads(before, after) {
+  const beforeById = new Map(before.map(m => [m.id, m]));
+  const afterIds = new Set(after.map(m => m.id));
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  after.forEach(m => {
+    const old = beforeById.get(m.id);
+    if (!old) result.added.push(m);
+    else if ((old.contentText || '') === (m.contentText || '')) result.unchanged++;
+    else result.changed.push({ before: old, after: m, diff: diffText(old.contentText, m.contentText) });
+  });
+  result.removed = before.filter(m => !afterIds.has(m.id));
+  return result;
+}
+
+function describeThreadDiff({ added, removed, changed, unchanged }) {
+  return `${added.length} added · ${removed.length} removed · ${changed.length} changed · ${unchanged} unchanged`;
+}
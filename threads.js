@@ -0,0 +1,902 @@
+// threads.js — thread storage helpers shared by the content script, popup and archive page
+
+const STORAGE_KEY_PREFIX = 'lce_thread_';
+const META_KEY_PREFIX    = 'lce_meta_';
+const CHECKPOINT_KEY_PREFIX = 'lce_capture_';
+const MESSAGE_KEY_PREFIX = 'lce_msg_';
+
+const LOVABLE_ORIGIN = 'https://lovable.dev';
+
+// ── Keys ──────────────────────────────────────────────────────────────
+
+function getThreadKeyForPath(pathname) {
+  // Lovable URLs look like /projects/:id or /chat/:id
+  const path = pathname.replace(/\/$/, '');
+  return STORAGE_KEY_PREFIX + btoa(path).replace(/[^a-z0-9]/gi, '_');
+}
+
+function getMetaKey(threadKey) {
+  return META_KEY_PREFIX + threadKey.slice(STORAGE_KEY_PREFIX.length);
+}
+
+function getCheckpointKey(threadKey) {
+  return CHECKPOINT_KEY_PREFIX + threadKey.slice(STORAGE_KEY_PREFIX.length);
+}
+
+function isChatPath(pathname) {
+  return /\/(projects|chat)\/[a-zA-Z0-9_-]+/.test(pathname);
+}
+
+function getProjectId(pathname) {
+  return (pathname || '').match(/\/(?:projects|chat)\/([a-zA-Z0-9_-]+)/)?.[1] || null;
+}
+
+/**
+ * Best-effort reverse of getThreadKeyForPath() for threads captured before
+ * we started writing a meta record. The key replaces `+`, `/` and `=` with
+ * `_`, so each 4-char base64 group is decoded on its own, trying every
+ * substitution until the bytes form plausible path characters.
+ */
+function guessPathFromThreadKey(threadKey) {
+  const encoded = threadKey.slice(STORAGE_KEY_PREFIX.length);
+  const pathChar = /^[A-Za-z0-9/_.~-]*$/;
+  let path = '';
+
+  for (let i = 0; i < encoded.length; i += 4) {
+    const group = encoded.slice(i, i + 4);
+    const isLast = i + 4 >= encoded.length;
+    let candidates = [''];
+    for (const ch of group) {
+      const options = ch !== '_' ? [ch] : isLast ? ['+', '/', '='] : ['+', '/'];
+      candidates = candidates.flatMap(prefix => options.map(o => prefix + o));
+    }
+    const decoded = candidates
+      .map(c => { try { return atob(c); } catch { return null; } })
+      .find(s => s !== null && pathChar.test(s));
+    if (decoded === undefined) return null;
+    path += decoded;
+  }
+  return path || null;
+}
+
+// ── Storage ───────────────────────────────────────────────────────────
+// A thread is spread over several keys so a save only rewrites what changed:
+//
+//   lce_thread_<x>    index { format: 2, ids, firstTimestamp, lastTimestamp }
+//   lce_msg_<x>/<id>  one record per message, with long HTML deflated
+//   lce_meta_<x>      { path, url, title, updatedAt }
+//   lce_capture_<x>   capture checkpoint
+//
+// Threads saved before this layout hold the whole messages map under
+// lce_thread_<x>; they load as before and are converted on their next save.
+
+const THREAD_FORMAT = 2;
+
+function getMessageKey(threadKey, id) {
+  return `${MESSAGE_KEY_PREFIX}${threadKey.slice(STORAGE_KEY_PREFIX.length)}/${id}`;
+}
+
+function isThreadIndex(value) {
+  return value?.format === THREAD_FORMAT && Array.isArray(value.ids);
+}
+
+function storageGet(keys) {
+  return new Promise(resolve => chrome.storage.local.get(keys, resolve));
+}
+
+function storageSet(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(items, () => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve();
+    });
+  });
+}
+
+function storageRemove(keys) {
+  return new Promise(resolve => chrome.storage.local.remove(keys, resolve));
+}
+
+async function allStorageKeys() {
+  if (chrome.storage.local.getKeys) return chrome.storage.local.getKeys();
+  return Object.keys(await storageGet(null));
+}
+
+// Every key belonging to a thread, including its message records
+async function threadStorageKeys(threadKey) {
+  const index = (await storageGet([threadKey]))[threadKey];
+  const ids = isThreadIndex(index) ? index.ids : [];
+  return [threadKey, getMetaKey(threadKey), getCheckpointKey(threadKey), ...ids.map(id => getMessageKey(threadKey, id))];
+}
+
+// What storage holds for each message record, as far as this page knows:
+// message key → messageSignature(). Filled by loads, saves and
+// readMessageChanges(), so saveThread() can skip unchanged messages.
+const storedSignatures = new Map();
+
+function messageSignature(message) {
+  const json = JSON.stringify(message);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    h ^= json.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return `${json.length}:${(h >>> 0).toString(16)}`;
+}
+
+async function loadThread(threadKey) {
+  const index = (await storageGet([threadKey]))[threadKey];
+  if (!isThreadIndex(index)) return index || {};
+
+  const keys = index.ids.map(id => getMessageKey(threadKey, id));
+  const records = await storageGet(keys);
+  const decoded = await Promise.all(keys.map(key => (records[key] ? unpackMessage(records[key]) : null)));
+  const messages = {};
+  decoded.forEach((m, i) => {
+    if (!m) return;
+    storedSignatures.set(keys[i], messageSignature(m));
+    messages[m.id] = m;
+  });
+  return messages;
+}
+
+async function loadThreadMeta(threadKey) {
+  const metaKey = getMetaKey(threadKey);
+  return new Promise(resolve => {
+    chrome.storage.local.get([metaKey], result => {
+      resolve(result[metaKey] || {});
+    });
+  });
+}
+
+/**
+ * A thread with its meta record, for pages and exports:
+ * { key, path, url, title, messages } with messages in conversation order.
+ */
+async function loadThreadData(threadKey) {
+  const [messages, meta] = await Promise.all([loadThread(threadKey), loadThreadMeta(threadKey)]);
+  const path = meta.path || guessPathFromThreadKey(threadKey);
+  return {
+    key: threadKey,
+    path,
+    url: meta.url || (path ? LOVABLE_ORIGIN + path : ''),
+    title: meta.title || '',
+    messages: sortMessages(messages),
+  };
+}
+
+/**
+ * Writes the messages that changed since this page last read or wrote
+ * them, the index and `meta`. Meta's `updatedAt` only moves when messages
+ * changed: eviction and scheduled snapshots read it as "last modified".
+ * Makes room first when the write would take storage past
+ * STORAGE_EVICT_RATIO (see evictStorage()). Resolves to
+ * { used, quota, evicted }; rejects if storage refuses the write.
+ */
+async function saveThread(threadKey, messagesMap, meta) {
+  const sorted = sortMessages(messagesMap);
+  const metaKey = getMetaKey(threadKey);
+  const stored = await storageGet([threadKey, metaKey]);
+  const previous = stored[threadKey];
+  const previousMeta = stored[metaKey] || {};
+  const index = {
+    format: THREAD_FORMAT,
+    ids: sorted.map(m => m.id),
+    firstTimestamp: sorted[0]?.timestampText || '',
+    lastTimestamp: sorted[sorted.length - 1]?.timestampText || '',
+  };
+
+  const items = {};
+  const signatures = new Map();
+  for (const m of sorted) {
+    const key = getMessageKey(threadKey, m.id);
+    const signature = messageSignature(m);
+    if (storedSignatures.get(key) === signature) continue;
+    items[key] = await packMessage(m);
+    signatures.set(key, signature);
+  }
+  if (JSON.stringify(index) !== JSON.stringify(previous)) items[threadKey] = index;
+
+  const removed = isThreadIndex(previous)
+    ? previous.ids.filter(id => !messagesMap[id]).map(id => getMessageKey(threadKey, id))
+    : [];
+  const changed = signatures.size > 0 || !!items[threadKey] || removed.length > 0;
+  if (meta) {
+    const updatedAt = changed ? new Date().toISOString() : previousMeta.updatedAt;
+    const next = { ...meta, updatedAt };
+    const same = Object.keys({ ...next, ...previousMeta }).every(k => next[k] === previousMeta[k]);
+    if (!same) items[metaKey] = next;
+  }
+
+  const evicted = await makeRoom(items, threadKey);
+  if (evicted.some(e => e.key === threadKey)) {
+    // Our own revision histories went too: drop them from memory and from this write
+    sorted.forEach(m => {
+      if (!m.revisions) return;
+      delete m.revisions;
+      const key = getMessageKey(threadKey, m.id);
+      if (items[key]) {
+        delete items[key].revisions;
+        signatures.set(key, messageSignature(m));
+      } else {
+        storedSignatures.set(key, messageSignature(m));
+      }
+    });
+  }
+
+  if (Object.keys(items).length) await storageSet(items);
+  signatures.forEach((signature, key) => storedSignatures.set(key, signature));
+
+  if (removed.length) {
+    await storageRemove(removed);
+    removed.forEach(key => storedSignatures.delete(key));
+  }
+
+  return { ...(await getStorageTotals()), evicted };
+}
+
+async function deleteThread(threadKey) {
+  const keys = await threadStorageKeys(threadKey);
+  await storageRemove(keys);
+  keys.forEach(key => storedSignatures.delete(key));
+}
+
+/**
+ * Folds a chrome.storage.onChanged batch into what this page knows about
+ * `threadKey`. Returns { cleared, messages, trimmed }: `cleared` when the
+ * thread was deleted, `messages` the decoded records written elsewhere and
+ * `trimmed` the ids whose revision history evictStorage() removed, which
+ * the page must drop too or its next save writes them back.
+ */
+async function readMessageChanges(threadKey, changes) {
+  const prefix = getMessageKey(threadKey, '');
+  const cleared = Boolean(changes[threadKey] && !changes[threadKey].newValue);
+  const messages = [];
+  const trimmed = [];
+  for (const [key, { oldValue, newValue }] of Object.entries(changes)) {
+    if (!key.startsWith(prefix)) continue;
+    if (!newValue) {
+      storedSignatures.delete(key);
+      continue;
+    }
+    const m = await unpackMessage(newValue);
+    storedSignatures.set(key, messageSignature(m));
+    messages.push(m);
+    // Eviction removes the history and nothing else, so updatedAt stays the same
+    if (oldValue?.revisions?.length && !newValue.revisions && oldValue.updatedAt === newValue.updatedAt) trimmed.push(m.id);
+  }
+  // A thread still in the old layout changes as one map
+  const legacy = changes[threadKey]?.newValue;
+  if (legacy && !isThreadIndex(legacy)) messages.push(...Object.values(legacy));
+  return { cleared, messages, trimmed };
+}
+
+// ── Compression ───────────────────────────────────────────────────────
+// contentHtml is most of a message's size and deflates well, so messages
+// and revisions store it as base64 deflate-raw under `contentHtmlZ` once
+// it passes COMPRESS_MIN_LENGTH. Key order is kept so a decoded record
+// has the same signature as the message it was written from.
+
+const COMPRESS_MIN_LENGTH = 512;
+
+async function transformBytes(bytes, stream) {
+  const writer = stream.writable.getWriter();
+  writer.write(bytes);
+  writer.close();
+  return new Uint8Array(await new Response(stream.readable).arrayBuffer());
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+async function deflateText(text) {
+  return bytesToBase64(await transformBytes(new TextEncoder().encode(text), new CompressionStream('deflate-raw')));
+}
+
+async function inflateText(base64) {
+  return new TextDecoder().decode(await transformBytes(base64ToBytes(base64), new DecompressionStream('deflate-raw')));
+}
+
+function renameField(entry, from, to, value) {
+  return Object.fromEntries(Object.entries(entry).map(([k, v]) => (k === from ? [to, value] : [k, v])));
+}
+
+// Always a copy: packMessage() sets `revisions` on the result, which must
+// not reach the in-memory message it was given
+async function packHtml(entry) {
+  if (typeof entry.contentHtml !== 'string' || entry.contentHtml.length < COMPRESS_MIN_LENGTH) return { ...entry };
+  return renameField(entry, 'contentHtml', 'contentHtmlZ', await deflateText(entry.contentHtml));
+}
+
+async function unpackHtml(entry) {
+  if (typeof entry.contentHtmlZ !== 'string') return { ...entry };
+  return renameField(entry, 'contentHtmlZ', 'contentHtml', await inflateText(entry.contentHtmlZ));
+}
+
+async function packMessage(m) {
+  const packed = await packHtml(m);
+  if (Array.isArray(m.revisions)) packed.revisions = await Promise.all(m.revisions.map(packHtml));
+  return packed;
+}
+
+async function unpackMessage(record) {
+  const m = await unpackHtml(record);
+  if (Array.isArray(record.revisions)) m.revisions = await Promise.all(record.revisions.map(unpackHtml));
+  return m;
+}
+
+// ── Quota ─────────────────────────────────────────────────────────────
+// chrome.storage.local holds 10 MB without the unlimitedStorage
+// permission. Past STORAGE_WARN_RATIO the popup and page warn; a write that
+// would pass STORAGE_EVICT_RATIO first frees space down to
+// STORAGE_EVICT_TARGET, following the storageEviction setting.
+
+const STORAGE_WARN_RATIO   = 0.8;
+const STORAGE_EVICT_RATIO  = 0.9;
+const STORAGE_EVICT_TARGET = 0.75;
+
+function storageQuota() {
+  return chrome.storage.local.QUOTA_BYTES || 10485760;
+}
+
+function bytesInUse(keys) {
+  return new Promise(resolve => chrome.storage.local.getBytesInUse(keys, resolve));
+}
+
+async function getStorageTotals() {
+  return { used: await bytesInUse(null), quota: storageQuota() };
+}
+
+// Roughly what storing `items` adds; chrome counts each key plus its JSON value
+function estimateBytes(items) {
+  return Object.entries(items).reduce((sum, [key, value]) => sum + key.length + JSON.stringify(value).length, 0);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function makeRoom(items, threadKey) {
+  const { used, quota } = await getStorageTotals();
+  if (used + estimateBytes(items) <= quota * STORAGE_EVICT_RATIO) return [];
+  return evictStorage(used + estimateBytes(items) - quota * STORAGE_EVICT_TARGET, threadKey);
+}
+
+// Threads are snapshotted (kind 'evict') before eviction deletes them.
+// Snapshots live in IndexedDB, outside this quota, so the space is still
+// freed. background.js has snapshots.js; other pages ask it.
+async function snapshotBeforeEviction(threadKey) {
+  try {
+    if (typeof createSnapshot === 'function') await createSnapshot(threadKey, { kind: 'evict' });
+    else await callBackground('createSnapshot', { key: threadKey, kind: 'evict' });
+    return true;
+  } catch (err) {
+    console.warn(`[Lovable Exporter] Not evicting ${threadKey}, its snapshot failed:`, err);
+    return false;
+  }
+}
+
+/**
+ * Frees at least `bytesNeeded` if the storageEviction setting allows:
+ * 'revisions' removes revision histories, least recently updated thread
+ * first and `keepKey` last; 'threads' then deletes whole threads in the
+ * same order, never `keepKey`, each after a snapshot (a thread whose
+ * snapshot fails is kept); 'off' removes nothing. Returns what went:
+ * [{ key, title, removed: 'revisions' | 'thread', bytes }].
+ */
+async function evictStorage(bytesNeeded, keepKey) {
+  const policy = getSettings().storageEviction;
+  if (policy === 'off') return [];
+
+  const threads = (await listThreads())
+    .sort((a, b) => (a.updatedAt || '').localeCompare(b.updatedAt || ''));
+  const byAge = [...threads.filter(t => t.key !== keepKey), ...threads.filter(t => t.key === keepKey)];
+  const evicted = [];
+  let freed = 0;
+
+  for (const thread of byAge) {
+    if (freed >= bytesNeeded) break;
+    const keys = await threadStorageKeys(thread.key);
+    const records = await storageGet(keys.filter(k => k.startsWith(MESSAGE_KEY_PREFIX)));
+    const trimmed = {};
+    Object.entries(records).forEach(([key, record]) => {
+      if (!record.revisions?.length) return;
+      const { revisions, ...rest } = record;
+      trimmed[key] = rest;
+    });
+    if (!Object.keys(trimmed).length) continue;
+    const before = await bytesInUse(Object.keys(trimmed));
+    await storageSet(trimmed);
+    const bytes = before - await bytesInUse(Object.keys(trimmed));
+    freed += bytes;
+    evicted.push({ key: thread.key, title: thread.title || thread.path, removed: 'revisions', bytes });
+  }
+
+  if (policy === 'threads') {
+    for (const thread of byAge) {
+      if (freed >= bytesNeeded) break;
+      if (thread.key === keepKey) continue;
+      if (!await snapshotBeforeEviction(thread.key)) continue;
+      const keys = await threadStorageKeys(thread.key);
+      const bytes = await bytesInUse(keys);
+      await deleteThread(thread.key);
+      freed += bytes;
+      evicted.push({ key: thread.key, title: thread.title || thread.path, removed: 'thread', bytes });
+    }
+  }
+  return evicted;
+}
+
+// One line for a toast: "Storage was nearly full: removed revision history from 2 threads"
+function describeEviction(evicted) {
+  const histories = evicted.filter(e => e.removed === 'revisions').length;
+  const threads = evicted.filter(e => e.removed === 'thread').length;
+  const parts = [];
+  if (histories) parts.push(`revision history from ${histories} thread${histories === 1 ? '' : 's'}`);
+  if (threads) parts.push(`${threads} least recently used thread${threads === 1 ? '' : 's'} (kept as snapshots)`);
+  return `Storage was nearly full: removed ${parts.join(' and ')} (${formatBytes(evicted.reduce((s, e) => s + e.bytes, 0))})`;
+}
+
+/**
+ * Storage use for the popup: { used, quota, threads } where `threads` is
+ * listThreads() plus `bytes`, largest first.
+ */
+async function getStorageUsage() {
+  const [totals, threads] = await Promise.all([getStorageTotals(), listThreads()]);
+  const sized = await Promise.all(threads.map(async t => ({ ...t, bytes: await bytesInUse(await threadStorageKeys(t.key)) })));
+  return { ...totals, threads: sized.sort((a, b) => b.bytes - a.bytes) };
+}
+
+// ── Capture checkpoints ───────────────────────────────────────────────
+// Full-history capture records how far it got, so the next run can skip
+// quickly through messages it already has:
+// { oldestId, found, total, complete, gaps, sweptAt, updatedAt }. `total`
+// is the count reached by the last run that finished, used to estimate
+// what's left; `gaps` and `sweptAt` come from the last sweep.
+
+async function loadCheckpoint(threadKey) {
+  const key = getCheckpointKey(threadKey);
+  const result = await new Promise(resolve => chrome.storage.local.get([key], resolve));
+  return result[key] || null;
+}
+
+async function saveCheckpoint(threadKey, checkpoint) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [getCheckpointKey(threadKey)]: { ...checkpoint, updatedAt: new Date().toISOString() } }, resolve);
+  });
+}
+
+/**
+ * Adjacent pairs in `sorted` that were never rendered next to each other
+ * (neither one's prevId / nextId points at the other), i.e. places where a
+ * message may be missing. Returns [{ index, afterId, beforeId }] where
+ * `index` is the 1-based position of the message before the gap.
+ */
+function findSequenceGaps(sorted) {
+  const gaps = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const a = sorted[i];
+    const b = sorted[i + 1];
+    if (a.nextId !== b.id && b.prevId !== a.id) gaps.push({ index: i + 1, afterId: a.id, beforeId: b.id });
+  }
+  return gaps;
+}
+
+function describeGaps(gaps) {
+  if (!gaps.length) return 'no gaps';
+  const where = gaps.slice(0, 5).map(g => `#${g.index}–#${g.index + 1}`).join(', ');
+  return `${gaps.length} gap${gaps.length === 1 ? '' : 's'} (${where}${gaps.length > 5 ? ', …' : ''})`;
+}
+
+/**
+ * One-line progress text shared by the toolbar button and the popup.
+ * `status` is what the content script reports (see captureStatus()).
+ */
+function describeCaptureStatus(status) {
+  const found = `${status.found} found`;
+  switch (status.state) {
+    case 'running':
+      if (status.phase === 'sweep') return `Sweeping ${Math.round(status.sweepProgress * 100)}% · ${found}`;
+      if (status.resuming) return `Skipping to where the last run stopped · ${found}`;
+      if (status.estimatedRemaining) return `${found} · ~${status.estimatedRemaining} left`;
+      if (status.idleRounds) return `${found} · checking for more (${status.idleRounds}/${status.stableRounds})`;
+      return found;
+    case 'paused':
+      return `Paused · ${found}`;
+    default:
+      return `${status.found} messages captured`;
+  }
+}
+
+// Snapshots are kept by background.js (snapshots.js); pages label them with this
+const SNAPSHOT_KIND_LABELS = {
+  auto: 'Automatic',
+  manual: 'Snapshot',
+  clear: 'Before clear',
+  restore: 'Before restore',
+  evict: 'Before storage cleanup',
+};
+
+// How long the 'clear' and 'evict' snapshots that undo a removal are kept
+const SAFETY_SNAPSHOT_DAYS = 30;
+
+function describeSnapshot(snapshot) {
+  return snapshot.name || SNAPSHOT_KIND_LABELS[snapshot.kind] || 'Snapshot';
+}
+
+// ── Ordering ──────────────────────────────────────────────────────────
+// Messages carry a durable `order` key assigned when they are first
+// captured (see placeNewMessages() below). `topPx` comes from the virtual
+// list's inline style and is only comparable within one render.
+
+const ORDER_STEP = 1024;
+
+/**
+ * Parses the visible timestamp ("Today 14:32", "Feb 20 9:05 PM", …) into
+ * epoch ms, or null. `anchor` resolves relative days and missing years.
+ */
+function parseTimestampText(text, anchor = new Date()) {
+  if (!text) return null;
+  const day = new Date(anchor);
+  let str = text.trim();
+  if (!/\d/.test(str)) return null;
+  if (/^yesterday\b/i.test(str)) day.setDate(day.getDate() - 1);
+  str = str.replace(/^(today|yesterday)\b/i, day.toDateString());
+  if (/^\d{1,2}:\d{2}/.test(str)) str = `${day.toDateString()} ${str}`;
+
+  if (/\b\d{4}\b/.test(str)) {
+    const ms = Date.parse(str);
+    return isNaN(ms) ? null : ms;
+  }
+
+  // "Feb 20 14:32" — borrow the anchor year, stepping back if that lands in the future
+  const [datePart, ...rest] = str.split(/\s+(?=\d{1,2}:\d{2})/);
+  const withYear = year => Date.parse(`${datePart} ${year} ${rest.join(' ')}`.trim());
+  let ms = withYear(anchor.getFullYear());
+  if (ms > anchor.getTime() + 86400000) ms = withYear(anchor.getFullYear() - 1);
+  return isNaN(ms) ? null : ms;
+}
+
+// ── Timestamps ────────────────────────────────────────────────────────
+// Lovable shows each message's time as text in the page's language
+// ("Today 14:32", "20 févr. 9:05", "Gestern 18:10"). Capture keeps that
+// text as `timestampText` and stores the ISO-8601 `timestamp` parsed from
+// it, with the capture time as the anchor for relative days.
+
+const ENGLISH_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const localeDateCache = new Map();
+
+/**
+ * How `locale` writes dates: { words, dayPeriods, dayFirst } where `words`
+ * maps its lowercased month names and "today" / "yesterday" to English,
+ * `dayPeriods` its AM / PM markers, and `dayFirst` whether numeric dates
+ * put the day before the month.
+ */
+function localeDateWords(locale) {
+  if (localeDateCache.has(locale)) return localeDateCache.get(locale);
+  const words = new Map();
+  const add = (word, english) => {
+    const key = (word || '').toLowerCase().replace(/\.$/, '');
+    if (key && !words.has(key)) words.set(key, english);
+  };
+  // Months on their own and inside a date, which differ in some languages
+  const standalone = ['long', 'short'].map(month => new Intl.DateTimeFormat(locale, { month, timeZone: 'UTC' }));
+  const inDate = ['long', 'short'].map(month => new Intl.DateTimeFormat(locale, { day: 'numeric', month, timeZone: 'UTC' }));
+  ENGLISH_MONTHS.forEach((english, i) => {
+    const date = Date.UTC(2000, i, 15);
+    standalone.forEach(format => add(format.format(date), english));
+    inDate.forEach(format => add(format.formatToParts(date).find(p => p.type === 'month')?.value, english));
+  });
+  const relative = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  add(relative.format(0, 'day'), 'Today');
+  add(relative.format(-1, 'day'), 'Yesterday');
+
+  const hours = new Intl.DateTimeFormat(locale, { hour: 'numeric', hour12: true, timeZone: 'UTC' });
+  const dayPeriod = hour => hours.formatToParts(Date.UTC(2000, 0, 15, hour)).find(p => p.type === 'dayPeriod')?.value;
+  const dayPeriods = [[dayPeriod(9), 'AM'], [dayPeriod(21), 'PM']].filter(([text]) => text);
+  const order = new Intl.DateTimeFormat(locale, { timeZone: 'UTC' }).formatToParts(Date.UTC(2000, 0, 15))
+    .map(p => p.type)
+    .filter(type => type === 'day' || type === 'month');
+
+  const result = { words, dayPeriods, dayFirst: order[0] === 'day' };
+  localeDateCache.set(locale, result);
+  return result;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Rewrites a localized timestamp in the English form parseTimestampText() reads
+function normalizeTimestampText(text, locale) {
+  const { words, dayPeriods, dayFirst } = localeDateWords(locale);
+  let str = text.replace(/\s+/g, ' ').trim();
+  dayPeriods.forEach(([period, english]) => {
+    const pattern = period.trim().split(/\s+/).map(escapeRegExp).join('\\s*');
+    str = str.replace(new RegExp(`\\s*${pattern}`, 'i'), ` ${english}`);
+  });
+  str = str.replace(/[\p{L}'’]+\.?/gu, word => words.get(word.toLowerCase().replace(/\.$/, '')) || word);
+  // 20/02/2025 or 02/20 → "Feb 20 2025"
+  str = str.replace(/\b(\d{1,2})[./-](\d{1,2})(?:[./-](\d{2,4}))?\b/, (match, a, b, year) => {
+    const [day, month] = dayFirst ? [a, b] : [b, a];
+    const monthName = ENGLISH_MONTHS[Number(month) - 1];
+    if (!monthName) return match;
+    const fullYear = year ? (year.length === 2 ? `20${year}` : year) : '';
+    return [monthName, Number(day), fullYear].filter(Boolean).join(' ');
+  });
+  // "Today, 14:32", "20 Feb, 9:05" — the comma and stray "at" confuse Date.parse
+  return str.replace(/,/g, ' ').replace(/\s+at\s+/i, ' ').replace(/\s+/g, ' ').trim();
+}
+
+const TIMESTAMP_WORDS = new Set([...ENGLISH_MONTHS, 'Today', 'Yesterday', 'AM', 'PM'].map(w => w.toLowerCase()));
+
+/**
+ * Parses visible timestamp text written in `locale` into an ISO-8601
+ * string, or null. `anchor` (the capture time) resolves "Today",
+ * "Yesterday" and missing years. Text with words left over after
+ * translation (a weekday, an unknown language) gives null rather than
+ * whatever Date.parse() makes of it.
+ */
+function timestampToIso(text, locale, anchor = new Date()) {
+  if (!text) return null;
+  let normalized;
+  try {
+    normalized = normalizeTimestampText(text, locale);
+  } catch {
+    normalized = text; // unknown locale tag
+  }
+  const words = normalized.match(/\p{L}+/gu) || [];
+  if (!words.every(word => TIMESTAMP_WORDS.has(word.toLowerCase()))) return null;
+  const ms = parseTimestampText(normalized, anchor);
+  return ms === null ? null : new Date(ms).toISOString();
+}
+
+// Epoch ms of a message, from `timestamp` or, for older captures, its
+// text read as English (the locale isn't known any more)
+function messageTime(m) {
+  const anchor = m.capturedAt ? new Date(m.capturedAt) : new Date();
+  const iso = m.timestamp || timestampToIso(m.timestampText, 'en', anchor);
+  const ms = iso ? Date.parse(iso) : NaN;
+  return isNaN(ms) ? null : ms;
+}
+
+/** A message's ISO timestamp, parsing the text of captures made before `timestamp` was stored. */
+function messageTimestamp(m) {
+  const ms = messageTime(m);
+  return ms === null ? null : new Date(ms).toISOString();
+}
+
+/**
+ * Formats an ISO timestamp for export headers in `timeZone` (an IANA
+ * name such as "Europe/Paris"; empty for the browser's own).
+ */
+function formatTimestamp(iso, timeZone = '') {
+  return new Intl.DateTimeFormat(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short',
+    timeZone: timeZone || undefined,
+  }).format(new Date(iso));
+}
+
+/**
+ * Gives an `order` to messages stored before ordering keys existed.
+ * Legacy threads are sorted by parsed timestamp when every message has
+ * one, falling back to `topPx`. Returns true if anything was migrated.
+ */
+function ensureOrder(messagesMap) {
+  const messages = Object.values(messagesMap);
+  const legacy = messages.filter(m => typeof m.order !== 'number');
+  if (!legacy.length) return false;
+
+  const times = new Map(legacy.map(m => [m, messageTime(m)]));
+  const allTimed = legacy.every(m => times.get(m) !== null);
+  legacy.sort((a, b) =>
+    (allTimed ? times.get(a) - times.get(b) : 0) || (a.topPx || 0) - (b.topPx || 0));
+
+  const maxOrder = messages.reduce((max, m) => (typeof m.order === 'number' ? Math.max(max, m.order) : max), 0);
+  legacy.forEach((m, i) => { m.order = maxOrder + (i + 1) * ORDER_STEP; });
+  return true;
+}
+
+function sortMessages(messagesMap) {
+  ensureOrder(messagesMap);
+  return Object.values(messagesMap).sort((a, b) => a.order - b.order);
+}
+
+// ── Placement ─────────────────────────────────────────────────────────
+// New messages arrive in batches already in conversation order (a render
+// of the virtual list, or an imported export). Each run of new messages
+// gets `order` keys between its already-ordered neighbours in the batch.
+// With no ordered neighbour a run is placed by parsed timestamp, and
+// failing that after everything captured so far.
+
+function orderedKeys(messagesMap) {
+  return Object.values(messagesMap)
+    .map(m => m.order)
+    .filter(o => typeof o === 'number')
+    .sort((a, b) => a - b);
+}
+
+function renumberOrder(messagesMap) {
+  Object.values(messagesMap)
+    .filter(m => typeof m.order === 'number')
+    .sort((a, b) => a.order - b.order)
+    .forEach((m, i) => { m.order = (i + 1) * ORDER_STEP; });
+}
+
+// Finds the gap a run of new messages with no ordered neighbour belongs in
+function gapByTimestamp(messagesMap, run) {
+  const keys = orderedKeys(messagesMap);
+  const time = messageTime(run[0]);
+  if (time === null) return [keys[keys.length - 1] ?? null, null];
+
+  let lo = null;
+  for (const m of Object.values(messagesMap)) {
+    if (typeof m.order !== 'number') continue;
+    const t = messageTime(m);
+    if (t !== null && t <= time && (lo === null || m.order > lo)) lo = m.order;
+  }
+  const hi = keys.find(k => lo === null || k > lo) ?? null;
+  return [lo, hi];
+}
+
+function placeRun(messagesMap, run, lo, hi) {
+  const keys = orderedKeys(messagesMap);
+  // Neighbours that disagree with the stored order: trust the one before
+  if (lo !== null && hi !== null && hi <= lo) hi = null;
+  // The batch only shows part of the thread — the gap ends at the next stored message
+  if (lo !== null && hi === null) hi = keys.find(k => k > lo) ?? null;
+  if (hi !== null && lo === null) lo = [...keys].reverse().find(k => k < hi) ?? null;
+  if (lo === null && hi === null) [lo, hi] = gapByTimestamp(messagesMap, run);
+
+  const n = run.length;
+  if (lo === null) lo = (hi ?? 0) - (n + 1) * ORDER_STEP;
+  if (hi === null) hi = lo + (n + 1) * ORDER_STEP;
+
+  const step = (hi - lo) / (n + 1);
+  if (!(step > 1e-6)) {
+    // Out of room — spread everything out and retry
+    renumberOrder(messagesMap);
+    return false;
+  }
+  run.forEach((m, i) => { m.order = lo + (i + 1) * step; });
+  return true;
+}
+
+/**
+ * Assigns `order` to every message in `batch` (already in conversation
+ * order, all present in `messagesMap`) that doesn't have one yet.
+ */
+function placeNewMessages(messagesMap, batch) {
+  for (let i = 0; i < batch.length; i++) {
+    if (typeof batch[i].order === 'number') continue;
+    let j = i;
+    while (j < batch.length && typeof batch[j].order !== 'number') j++;
+    const run = batch.slice(i, j);
+    const neighbours = () => [i > 0 ? batch[i - 1].order : null, j < batch.length ? batch[j].order : null];
+    if (!placeRun(messagesMap, run, ...neighbours())) {
+      // renumberOrder() moved the neighbours — recompute from the same run
+      placeRun(messagesMap, run, ...neighbours());
+    }
+    i = j - 1;
+  }
+}
+
+// ── Selection ─────────────────────────────────────────────────────────
+// A selection narrows an export to part of a thread:
+// { mode: 'all' | 'date' | 'messages', fromDate, toDate (YYYY-MM-DD),
+//   fromId, toId, role: 'all' | 'user' | 'ai' }
+
+const DEFAULT_SELECTION = { mode: 'all', fromDate: '', toDate: '', fromId: '', toId: '', role: 'all' };
+
+function localDateString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Epoch ms for each message in `sorted`. "Today" / "Yesterday" resolve
+ * against when the message was captured; messages without a readable
+ * timestamp borrow the time of the message before them (or after, at the start).
+ */
+function messageTimes(sorted) {
+  const times = sorted.map(messageTime);
+  let last = times.find(t => t !== null) ?? null;
+  return times.map(t => (t === null ? last : (last = t)));
+}
+
+// Bounds of the whole thread, used to prefill range pickers
+function selectionBounds(sorted) {
+  const times = messageTimes(sorted).filter(t => t !== null);
+  return {
+    fromDate: times.length ? localDateString(new Date(Math.min(...times))) : '',
+    toDate: times.length ? localDateString(new Date(Math.max(...times))) : '',
+    fromId: sorted[0]?.id || '',
+    toId: sorted[sorted.length - 1]?.id || '',
+  };
+}
+
+// Short label for pickers: "#12 · You · Feb 20 14:32 · Add a login page…"
+function describeMessage(m, index) {
+  const text = (m.contentText || '').replace(/\s+/g, ' ').trim();
+  const excerpt = text.length > 40 ? `${text.slice(0, 40)}…` : text;
+  return [`#${index + 1}`, m.role === 'user' ? 'You' : 'AI', m.timestampText, excerpt].filter(Boolean).join(' · ');
+}
+
+/**
+ * Applies a selection to sorted messages. Returns { messages, range }
+ * where `range` holds the 1-based positions of the first and last message
+ * kept ({ from: 0, to: 0 } when nothing matches).
+ */
+function selectMessages(sorted, selection = DEFAULT_SELECTION) {
+  const sel = { ...DEFAULT_SELECTION, ...selection };
+  let positions = sorted.map((m, i) => i);
+
+  if (sel.mode === 'date') {
+    const times = messageTimes(sorted);
+    const from = sel.fromDate ? new Date(`${sel.fromDate}T00:00:00`).getTime() : -Infinity;
+    const to = sel.toDate ? new Date(`${sel.toDate}T23:59:59.999`).getTime() : Infinity;
+    positions = positions.filter(i => times[i] !== null && times[i] >= from && times[i] <= to);
+  } else if (sel.mode === 'messages') {
+    let start = sorted.findIndex(m => m.id === sel.fromId);
+    let end = sorted.findIndex(m => m.id === sel.toId);
+    if (start < 0) start = 0;
+    if (end < 0) end = sorted.length - 1;
+    if (start > end) [start, end] = [end, start];
+    positions = positions.slice(start, end + 1);
+  }
+
+  if (sel.role !== 'all') positions = positions.filter(i => sorted[i].role === sel.role);
+
+  return {
+    messages: positions.map(i => sorted[i]),
+    range: positions.length
+      ? { from: positions[0] + 1, to: positions[positions.length - 1] + 1 }
+      : { from: 0, to: 0 },
+  };
+}
+
+/**
+ * Returns a summary of every captured thread in storage:
+ * { key, path, url, title, count, firstTimestamp, lastTimestamp, updatedAt }
+ */
+async function listThreads() {
+  const keys = (await allStorageKeys()).filter(key => key.startsWith(STORAGE_KEY_PREFIX));
+  const all = await storageGet([...keys, ...keys.map(getMetaKey)]);
+
+  return keys
+    .map(key => {
+      const index = all[key] || {};
+      // Old-layout threads store the messages map itself
+      const legacy = isThreadIndex(index) ? null : sortMessages(index);
+      const meta = all[getMetaKey(key)] || {};
+      const path = meta.path || guessPathFromThreadKey(key);
+      return {
+        key,
+        path,
+        url: meta.url || (path ? LOVABLE_ORIGIN + path : null),
+        title: meta.title || '',
+        count: legacy ? legacy.length : index.ids.length,
+        firstTimestamp: (legacy ? legacy[0]?.timestampText : index.firstTimestamp) || '',
+        lastTimestamp: (legacy ? legacy[legacy.length - 1]?.timestampText : index.lastTimestamp) || '',
+        updatedAt: meta.updatedAt || null,
+      };
+    })
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}